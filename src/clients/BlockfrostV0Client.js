@@ -22,7 +22,7 @@ import { SubmissionExpiryError, SubmissionUtxoError } from "./errors.js"
 /**
  * @import { Address, AssetClass, NetworkParams, Tx, TxId, TxInfo, TxInput, TxOutput, TxOutputId } from "@helios-lang/ledger"
  * @import { UplcProgramV2, UplcProgramV3 } from "@helios-lang/uplc"
- * @import { BlockfrostV0Client, ExtendedTxInfo, NetworkName, ReadonlyWallet, TxBlockInfo, TxSummary } from "../index.js"
+ * @import { BlockfrostV0Client, BlockfrostV0ClientOptions, ExtendedTxInfo, NetworkName, ReadonlyWallet, TxBlockInfo, TxSummary } from "../index.js"
  */
 
 /**
@@ -143,10 +143,11 @@ import { SubmissionExpiryError, SubmissionUtxoError } from "./errors.js"
 /**
  * @param {NetworkName} networkName
  * @param {string} projectId
+ * @param {BlockfrostV0ClientOptions} [options]
  * @returns {BlockfrostV0Client}
  */
-export function makeBlockfrostV0Client(networkName, projectId) {
-    return new BlockfrostV0ClientImpl(networkName, projectId)
+export function makeBlockfrostV0Client(networkName, projectId, options = {}) {
+    return new BlockfrostV0ClientImpl(networkName, projectId, options)
 }
 
 /**
@@ -270,14 +271,25 @@ class BlockfrostV0ClientImpl {
      */
     projectId
 
+    /**
+     * @readonly
+     * @type {string}
+     */
+    baseUrl
+
     /**
      * Constructs a BlockfrostV0 using the network name (preview, preprod or mainnet) and your Blockfrost `project_id`.
      * @param {NetworkName} networkName
      * @param {string} projectId
+     * @param {BlockfrostV0ClientOptions} options
      */
-    constructor(networkName, projectId) {
+    constructor(networkName, projectId, options = {}) {
         this.networkName = networkName
         this.projectId = projectId
+        this.baseUrl = (
+            options.baseUrl ??
+            `https://cardano-${networkName}.blockfrost.io/api/v0`
+        ).replace(/\/+$/, "")
 
         this.burst = 0
         this.lastRequest = 0
@@ -349,7 +361,7 @@ class BlockfrostV0ClientImpl {
     get latestEpoch() {
         return (async () => {
             const response = await this.fetchRateLimited(
-                `https://cardano-${this.networkName}.blockfrost.io/api/v0/epochs/latest`
+                `${this.baseUrl}/epochs/latest`
             )
 
             return await response.json()
@@ -373,13 +385,13 @@ class BlockfrostV0ClientImpl {
         return (async () => {
             const bfTip = /** @type {BlockfrostTipResponse} */ (
                 await this.fetchRateLimited(
-                    `https://cardano-${this.networkName}.blockfrost.io/api/v0/blocks/latest`
+                    `${this.baseUrl}/blocks/latest`
                 ).then((r) => r.json())
             )
 
             const bfParams = /** @type {BlockfrostParamsResponse} */ (
                 await this.fetchRateLimited(
-                    `https://cardano-${this.networkName}.blockfrost.io/api/v0/epochs/latest/parameters`
+                    `${this.baseUrl}/epochs/latest/parameters`
                 ).then((r) => r.json())
             )
 
@@ -433,9 +445,7 @@ class BlockfrostV0ClientImpl {
      * @returns {Promise<void>} - prints to console instead of returning anything
      */
     async dumpMempool() {
-        const response = await this.fetchRateLimited(
-            `https://cardano-${this.networkName}.blockfrost.io/api/v0/mempool`
-        )
+        const response = await this.fetchRateLimited(`${this.baseUrl}/mempool`)
 
         console.log(await response.text())
     }
@@ -447,7 +457,7 @@ class BlockfrostV0ClientImpl {
      */
     async getTx(id) {
         const response = await this.fetchRateLimited(
-            `https://cardano-${this.networkName}.blockfrost.io/api/v0/txs/${id.toHex()}/cbor`
+            `${this.baseUrl}/txs/${id.toHex()}/cbor`
         )
 
         if (response.status == 404) {
@@ -579,7 +589,7 @@ class BlockfrostV0ClientImpl {
      */
     async getTxInfoInternal(id) {
         const response = await this.fetchRateLimited(
-            `https://cardano-${this.networkName}.blockfrost.io/api/v0/txs/${id.toHex()}`
+            `${this.baseUrl}/txs/${id.toHex()}`
         )
 
         if (response.status == 404) {
@@ -614,7 +624,7 @@ class BlockfrostV0ClientImpl {
      */
     async getTxUtxos(id) {
         const response = await this.fetchRateLimited(
-            `https://cardano-${this.networkName}.blockfrost.io/api/v0/txs/${id.toHex()}/utxos`
+            `${this.baseUrl}/txs/${id.toHex()}/utxos`
         )
 
         if (response.status == 404) {
@@ -710,7 +720,7 @@ class BlockfrostV0ClientImpl {
         const assetClassStr = assetClass
             ? `/${assetClass.mph.toHex()}${bytesToHex(assetClass.tokenName)}`
             : ""
-        const baseUrl = `https://cardano-${this.networkName}.blockfrost.io/api/v0/addresses/${address.toString()}/utxos/${assetClassStr}?count=${MAX_UTXOS_PER_PAGE}&order=asc`
+        const baseUrl = `${this.baseUrl}/addresses/${address.toString()}/utxos/${assetClassStr}?count=${MAX_UTXOS_PER_PAGE}&order=asc`
         let page = 1
         let hasMorePages = true
 
@@ -775,7 +785,7 @@ class BlockfrostV0ClientImpl {
      */
     async getAddressesWithAssetClass(assetClass) {
         const response = await this.fetchRateLimited(
-            `https://cardano-${this.networkName}.blockfrost.io/api/v0/assets/${assetClass.toString().replace(".", "")}/addresses`
+            `${this.baseUrl}/assets/${assetClass.toString().replace(".", "")}/addresses`
         )
 
         const list = await response.json()
@@ -808,7 +818,7 @@ class BlockfrostV0ClientImpl {
      */
     async hasTx(txId) {
         const response = await this.fetchRateLimited(
-            `https://cardano-${this.networkName}.blockfrost.io/api/v0/txs/${txId.toHex()}/utxos`
+            `${this.baseUrl}/txs/${txId.toHex()}/utxos`
         )
 
         if (response.status == 404) {
@@ -828,7 +838,7 @@ class BlockfrostV0ClientImpl {
      */
     async getAddressTxs(address) {
         const MAX_ITEMS_PER_PAGE = 100
-        const baseUrl = `https://cardano-${this.networkName}.blockfrost.io/api/v0/addresses/${address.toString()}/transactions?count=${MAX_ITEMS_PER_PAGE}&order=asc`
+        const baseUrl = `${this.baseUrl}/addresses/${address.toString()}/transactions?count=${MAX_ITEMS_PER_PAGE}&order=asc`
         let page = 1
         let hasMorePages = true
 
@@ -931,7 +941,7 @@ class BlockfrostV0ClientImpl {
         const txId = utxoId.txId
 
         const response = await this.fetchRateLimited(
-            `https://cardano-${this.networkName}.blockfrost.io/api/v0/txs/${txId.toHex()}/utxos`
+            `${this.baseUrl}/txs/${txId.toHex()}/utxos`
         )
 
         if (response.status == 404) {
@@ -970,7 +980,7 @@ class BlockfrostV0ClientImpl {
      */
     async submitTx(tx) {
         const data = new Uint8Array(tx.toCbor())
-        const url = `https://cardano-${this.networkName}.blockfrost.io/api/v0/tx/submit`
+        const url = `${this.baseUrl}/tx/submit`
 
         const response = await this.fetchRateLimited(url, {
             method: "POST",
@@ -1012,7 +1022,7 @@ class BlockfrostV0ClientImpl {
         let refScript = undefined
 
         if (rawInput.reference_script_hash !== null) {
-            const url = `https://cardano-${this.networkName}.blockfrost.io/api/v0/scripts/${rawInput.reference_script_hash}/cbor`
+            const url = `${this.baseUrl}/scripts/${rawInput.reference_script_hash}/cbor`
 
             const response = await this.fetchRateLimited(url, {
                 method: "GET",
@@ -1,13 +1,24 @@
+import { bytesToHex } from "@helios-lang/codec-utils"
 import { generateBytes, mulberry32 } from "@helios-lang/crypto"
 import {
+    decodeTx,
+    decodeTxOutput,
     makeAssets,
     DEFAULT_NETWORK_PARAMS,
+    hashNativeScript,
+    makePubKeyHash,
     makeTxOutputId
 } from "@helios-lang/ledger"
+import { expectDefined, JSON } from "@helios-lang/type-utils"
 import { SECOND } from "../duration/index.js"
 import { makeRootPrivateKey } from "../keys/index.js"
-import { makeSimpleWallet } from "../wallets/index.js"
+import { makeHdWallet, makeSimpleWallet } from "../wallets/index.js"
 import { makeEmulatorGenesisTx } from "./EmulatorGenesisTx.js"
+import { isEmulatorJsonSafe } from "./EmulatorJsonSafe.js"
+import {
+    makeEmulatorTxReport,
+    summarizeEmulatorTxReports
+} from "./EmulatorReport.js"
 import { makeEmulatorRegularTx } from "./EmulatorRegularTx.js"
 import {
     SubmissionExpiryError,
@@ -17,22 +28,202 @@ import {
 /**
  * @import { IntLike } from "@helios-lang/codec-utils"
  * @import { NumberGenerator } from "@helios-lang/crypto"
- * @import { Address, Assets, NetworkParams, Tx, TxId, TxInput, TxOutputId } from "@helios-lang/ledger"
- * @import { Emulator, EmulatorTx, EmulatorGenesisTx, SimpleWallet } from "../index.js"
+ * @import { JsonSafe } from "@helios-lang/type-utils"
+ * @import { Address, AssetClass, Assets, NativeContext, NetworkParams, PubKeyHash, ShelleyAddress, SpendingCredential, StakingAddress, StakingCredential, Tx, TxId, TxInput, TxOutputId } from "@helios-lang/ledger"
+ * @import { Emulator, EmulatorEvents, EmulatorJsonSafe, EmulatorOptions, EmulatorReport, EmulatorTxReport, EmulatorSnapshot, EmulatorStakeAccount, EmulatorTx, EmulatorGenesisTx, EmulatorWatchEvent, EmulatorWatchFilter, ExtendedTxInfo, HdWallet, HdWalletOptions, SimpleWallet, TxBlockInfo } from "../index.js"
+ */
+
+/**
+ * Everything needed to rewind an Emulator
+ * @typedef {{
+ *   currentSlot: number
+ *   seed: number
+ *   nRandomDraws: number
+ *   genesis: EmulatorGenesisTx[]
+ *   mempool: EmulatorTx[]
+ *   blocks: EmulatorTx[][]
+ *   headers: EmulatorBlockHeader[]
+ *   allUtxos: Record<string, TxInput>
+ *   consumedUtxos: Set<string>
+ *   addressUtxos: Record<string, TxInput[]>
+ *   assetClassUtxos: Record<string, TxInput[]>
+ *   credentialUtxos: Record<string, TxInput[]>
+ *   txIds: TxId[]
+ *   txLocations: Record<string, {height: number, index: number}>
+ *   addressTxs: Record<string, TxId[]>
+ *   stakeAccounts: Record<string, EmulatorStakeAccount>
+ *   stakeHistory: Record<string, EmulatorStakeAccount>[]
+ *   params: NetworkParams
+ *   timeOrigin: {slot: number, time: number}
+ * }} EmulatorState
+ */
+
+/**
+ * The UTxO and tx indexes, rebuilt from the blocks when rolling back
+ * @typedef {Pick<EmulatorState, "allUtxos" | "consumedUtxos" | "addressUtxos" | "assetClassUtxos" | "credentialUtxos" | "txIds" | "txLocations" | "addressTxs">} EmulatorCaches
+ */
+
+/**
+ * Slot and time (in milliseconds) at which a block was added
+ * @typedef {{
+ *   slot: number
+ *   time: number
+ * }} EmulatorBlockHeader
+ */
+
+/**
+ * Mainnet epoch length in slots (5 days of 1 second slots)
+ */
+const DEFAULT_EPOCH_LENGTH = 432000
+
+/**
+ * Reward rates are converted to fixed-point fractions with this denominator
  */
+const REWARD_RATE_SCALE = 1_000_000_000
+
+/**
+ * The snapshot handles are opaque, the actual states are kept here
+ * @type {WeakMap<EmulatorSnapshot, EmulatorState>}
+ */
+const snapshots = new WeakMap()
 
 /**
  * @param {number} seed
+ * @param {EmulatorOptions} options
  * @returns {Emulator}
  */
-export function makeEmulator(seed = 0) {
-    return new EmulatorImpl(seed)
+export function makeEmulator(seed = 0, options = {}) {
+    return new EmulatorImpl(seed, options)
+}
+
+/**
+ * Restores an Emulator from the format returned by `Emulator.toJsonSafe()`.
+ * The inputs of the regular txs are resolved using the outputs of the preceding txs.
+ * The network parameters and the time origin are taken from `json`, so `options.params` and `options.genesisTime` are ignored.
+ * Throws an error if the input doesn't have the correct format.
+ * @param {string | JsonSafe} json
+ * @param {EmulatorOptions} options
+ * @returns {Promise<Emulator>}
+ */
+export async function parseEmulator(json, options = {}) {
+    if (typeof json == "string") {
+        return parseEmulator(JSON.parse(json), options)
+    } else if (!isEmulatorJsonSafe(json)) {
+        throw new Error("invalid format")
+    }
+
+    const genesis = json.genesis.map((outputCbor, i) => {
+        const output = decodeTxOutput(outputCbor)
+
+        return makeEmulatorGenesisTx(
+            i,
+            output.address,
+            output.value.lovelace,
+            output.value.assets
+        )
+    })
+
+    /**
+     * @type {EmulatorState}
+     */
+    const state = {
+        currentSlot: json.currentSlot,
+        seed: json.seed,
+        nRandomDraws: json.nRandomDraws,
+        genesis: genesis,
+        mempool: [],
+        blocks: [],
+        headers: json.headers.map((header) => ({ ...header })),
+        allUtxos: {},
+        consumedUtxos: new Set(),
+        addressUtxos: {},
+        assetClassUtxos: {},
+        credentialUtxos: {},
+        txIds: [],
+        txLocations: {},
+        addressTxs: {},
+        stakeAccounts: decodeStakeAccounts(json.stakeAccounts),
+        stakeHistory: json.stakeHistory.map(decodeStakeAccounts),
+        params: /** @type {NetworkParams} */ (json.params),
+        timeOrigin: json.timeOrigin
+    }
+
+    /**
+     * @param {number | string} txJson
+     * @param {EmulatorTx[]} prevTxs - preceding txs that haven't been indexed yet
+     * @returns {Promise<EmulatorTx>}
+     */
+    const decodeEmulatorTx = async (txJson, prevTxs) => {
+        if (typeof txJson == "number") {
+            return expectDefined(
+                genesis[txJson],
+                `genesis tx ${txJson} not found`
+            )
+        }
+
+        const tx = decodeTx(txJson)
+
+        await tx.recover({
+            getUtxo: async (id) => {
+                const utxo =
+                    state.allUtxos[id.toString()] ??
+                    prevTxs.reduce(
+                        (/** @type {TxInput | undefined} */ found, prev) =>
+                            found ?? prev.getUtxo(id),
+                        undefined
+                    )
+
+                if (!utxo) {
+                    throw new Error(
+                        `utxo with id ${id.toString()} doesn't exist`
+                    )
+                }
+
+                return utxo
+            }
+        })
+
+        return makeEmulatorRegularTx(tx)
+    }
+
+    for (const block of json.blocks) {
+        /**
+         * @type {EmulatorTx[]}
+         */
+        const txs = []
+
+        for (const txJson of block) {
+            const tx = await decodeEmulatorTx(txJson, [])
+
+            indexUtxos(state, tx)
+            indexTx(state, tx, state.blocks.length, txs.length)
+            txs.push(tx)
+        }
+
+        state.blocks.push(txs)
+    }
+
+    for (const txJson of json.mempool) {
+        state.mempool.push(await decodeEmulatorTx(txJson, state.mempool))
+    }
+
+    const emulator = makeEmulator(json.seed, options)
+
+    /**
+     * @type {EmulatorSnapshot}
+     */
+    const snapshot = { kind: "EmulatorSnapshot" }
+
+    snapshots.set(snapshot, state)
+
+    emulator.restore(snapshot)
+
+    return emulator
 }
 
 /**
  * A simple emulated Network.
  * This can be used to do integration tests of whole dApps.
- * Staking is not yet supported.
  * @implements {Emulator}
  */
 class EmulatorImpl {
@@ -41,6 +232,19 @@ class EmulatorImpl {
      */
     currentSlot
 
+    /**
+     * @private
+     * @type {number}
+     */
+    _seed
+
+    /**
+     * Number of random numbers drawn so far, so that the RNG position can be restored
+     * @private
+     * @type {number}
+     */
+    _nRandomDraws
+
     /**
      * @private
      * @type {NumberGenerator}
@@ -83,31 +287,157 @@ class EmulatorImpl {
      */
     _addressUtxos
 
+    /**
+     * Cached map of unspent UTxOs containing an asset class, keyed by the string representation of the asset class
+     * @private
+     * @type {Record<string, TxInput[]>}
+     */
+    _assetClassUtxos
+
+    /**
+     * Cached map of unspent UTxOs at addresses with a given spending credential (regardless of the staking part), keyed by the hex representation of the credential
+     * @private
+     * @type {Record<string, TxInput[]>}
+     */
+    _credentialUtxos
+
+    /**
+     * Cached list of the ids of all the regular txs in the blocks, in order
+     * @private
+     * @type {TxId[]}
+     */
+    _txIds
+
+    /**
+     * Cached map of the block height and the index in the block of all the regular txs, keyed by the hex representation of the tx id
+     * @private
+     * @type {Record<string, {height: number, index: number}>}
+     */
+    _txLocations
+
+    /**
+     * Cached map of the regular txs (in order) spending from or paying to an address
+     * @private
+     * @type {Record<string, TxId[]>}
+     */
+    _addressTxs
+
+    /**
+     * The slot and the time of each block
+     * @private
+     * @type {EmulatorBlockHeader[]}
+     */
+    _headers
+
+    /**
+     * Registered staking credentials, keyed by the hex representation of the credential
+     * @private
+     * @type {Record<string, EmulatorStakeAccount>}
+     */
+    _stakeAccounts
+
+    /**
+     * The registered staking credentials before each block, used for rollbacks
+     * @private
+     * @type {Record<string, EmulatorStakeAccount>[]}
+     */
+    _stakeHistory
+
+    /**
+     * @private
+     * @type {{[E in keyof EmulatorEvents]: ((event: EmulatorEvents[E]) => void)[]}}
+     */
+    _listeners
+
+    /**
+     * Network parameters without the reference tip
+     * @private
+     * @type {NetworkParams}
+     */
+    _params
+
+    /**
+     * Slot and time (in milliseconds since 1970) from which `now` is calculated.
+     * Moved to the current slot whenever the slot length changes, so that time remains continuous.
+     * @private
+     * @type {{slot: number, time: number}}
+     */
+    _timeOrigin
+
+    /**
+     * @readonly
+     * @type {EmulatorOptions}
+     */
+    options
+
     /**
      * Instantiates a Emulator at slot 0.
      * An optional seed number can be specified, from which all emulated randomness is derived.
      * @param {number} seed
+     * @param {EmulatorOptions} options
      */
-    constructor(seed = 0) {
+    constructor(seed = 0, options = {}) {
+        this.options = options
         this.currentSlot = 0
 
-        this._random = mulberry32(seed)
+        this._seed = seed
+        this._nRandomDraws = 0
+        this._random = this.initRandom(0)
 
         this.genesis = []
         this.mempool = []
         this.blocks = []
+        this._headers = []
 
         this._allUtxos = {}
         this._consumedUtxos = new Set()
         this._addressUtxos = {}
+        this._assetClassUtxos = {}
+        this._credentialUtxos = {}
+        this._txIds = []
+        this._txLocations = {}
+        this._addressTxs = {}
+        this._stakeAccounts = {}
+        this._stakeHistory = []
+        this._listeners = {
+            block: [],
+            rollback: [],
+            tx: [],
+            utxoCreated: [],
+            utxoSpent: []
+        }
+
+        this._params = { ...DEFAULT_NETWORK_PARAMS(), ...options.params }
+        this._timeOrigin = { slot: 0, time: options.genesisTime ?? 0 }
     }
 
     /**
-     * Each slot is assumed to be 1000 milliseconds
-     * @returns {number} - milliseconds since start of emulation
+     * The slot length is taken from `secondsPerSlot` in the network parameters
+     * @returns {number} - milliseconds since 1970 (or since the start of the emulation if `genesisTime` isn't set)
      */
     get now() {
-        return SECOND * this.currentSlot
+        return (
+            this._timeOrigin.time +
+            (this.currentSlot - this._timeOrigin.slot) *
+                this._params.secondsPerSlot *
+                SECOND
+        )
+    }
+
+    /**
+     * Epochs are counted from slot 0, and are `epochLength` slots long
+     * @type {number}
+     */
+    get currentEpoch() {
+        return Math.floor(this.currentSlot / this.epochLength)
+    }
+
+    /**
+     * @private
+     * @type {number}
+     */
+    get epochLength() {
+        return this.options.epochLength ?? DEFAULT_EPOCH_LENGTH
     }
 
     /**
@@ -122,7 +452,7 @@ class EmulatorImpl {
      */
     get parametersSync() {
         return {
-            ...DEFAULT_NETWORK_PARAMS(),
+            ...this._params,
             refTipSlot: this.currentSlot,
             refTipTime: this.now
         }
@@ -133,21 +463,7 @@ class EmulatorImpl {
      * @type {TxId[]}
      */
     get txIds() {
-        /**
-         * @type {TxId[]}
-         */
-        const res = []
-
-        // TODO: the current approach is very slow, use a snapshot
-        for (let block of this.blocks) {
-            for (let tx of block) {
-                if (tx.kind == "Regular") {
-                    res.push(tx.id())
-                }
-            }
-        }
-
-        return res
+        return this._txIds.slice()
     }
 
     /**
@@ -166,6 +482,34 @@ class EmulatorImpl {
         return wallet
     }
 
+    /**
+     * Creates a new HdWallet, and creates a UTxO containing `lovelace[i]` at the i-th address of the wallet.
+     * Zero entries are skipped, leaving those addresses unused.
+     * Throws an error if `lovelace` has more entries than the wallet has addresses.
+     * @param {bigint[]} lovelace
+     * @param {HdWalletOptions} options
+     * @returns {HdWallet}
+     */
+    createHdWallet(lovelace = [], options = {}) {
+        const rootKey = makeRootPrivateKey(generateBytes(this._random, 32))
+        const wallet = makeHdWallet(rootKey, this, options)
+        const addresses = wallet.addresses
+
+        if (lovelace.length > addresses.length) {
+            throw new Error(
+                `can't fund ${lovelace.length} addresses of a HdWallet with ${addresses.length} addresses`
+            )
+        }
+
+        lovelace.forEach((qty, i) => {
+            if (qty > 0n) {
+                this.createGenesisUtxo(addresses[i], qty)
+            }
+        })
+
+        return wallet
+    }
+
     /**
      * Creates a UTxO using a GenesisTx.
      * @param {SimpleWallet} wallet
@@ -174,9 +518,20 @@ class EmulatorImpl {
      * @returns {TxOutputId}
      */
     createUtxo(wallet, lovelace, assets = makeAssets([])) {
+        return this.createGenesisUtxo(wallet.address, lovelace, assets)
+    }
+
+    /**
+     * @private
+     * @param {ShelleyAddress<PubKeyHash>} address
+     * @param {bigint} lovelace
+     * @param {Assets} assets
+     * @returns {TxOutputId}
+     */
+    createGenesisUtxo(address, lovelace, assets = makeAssets([])) {
         const tx = makeEmulatorGenesisTx(
             this.genesis.length,
-            wallet.address,
+            address,
             lovelace,
             assets
         )
@@ -184,9 +539,63 @@ class EmulatorImpl {
         this.genesis.push(tx)
         this.mempool.push(tx)
 
+        this.emit("tx", { tx })
+
         return makeTxOutputId(tx.id(), 0)
     }
 
+    /**
+     * Credits the reward account of a registered staking address.
+     * Throws an error if the staking address isn't registered.
+     * @param {StakingAddress} stakingAddress
+     * @param {IntLike} lovelace
+     */
+    addRewards(stakingAddress, lovelace) {
+        const account = this.getMutableStakeAccount(
+            this._stakeAccounts,
+            stakingAddress.stakingCredential
+        )
+
+        account.rewards += BigInt(lovelace)
+    }
+
+    /**
+     * Simulates an epoch boundary: every registered staking address that is delegated to a pool is credited with `rewardRate` times the lovelace held by the confirmed UTxOs at addresses with that staking credential.
+     * @param {number} rewardRate
+     */
+    distributeRewards(rewardRate) {
+        /**
+         * @type {Record<string, bigint>}
+         */
+        const stakes = {}
+
+        for (const utxos of Object.values(this._addressUtxos)) {
+            for (const utxo of utxos) {
+                const address = utxo.address
+
+                if (address.era != "Shelley" || !address.stakingCredential) {
+                    continue
+                }
+
+                const key = address.stakingCredential.toHex()
+
+                stakes[key] = (stakes[key] ?? 0n) + utxo.value.lovelace
+            }
+        }
+
+        // the rate is applied as a fixed-point fraction so large stakes don't lose precision
+        const scaledRate = BigInt(Math.round(rewardRate * REWARD_RATE_SCALE))
+
+        for (const [key, account] of Object.entries(this._stakeAccounts)) {
+            const stake = stakes[key] ?? 0n
+
+            if (account.poolId && stake > 0n) {
+                account.rewards +=
+                    (stake * scaledRate) / BigInt(REWARD_RATE_SCALE)
+            }
+        }
+    }
+
     /**
      * @returns {void}
      */
@@ -201,72 +610,463 @@ class EmulatorImpl {
     }
 
     /**
+     * Creates an independent copy of the Emulator, including the RNG state.
+     * Note: wallets created by the original Emulator remain bound to the original Emulator.
+     * @returns {Emulator}
+     */
+    fork() {
+        const emulator = new EmulatorImpl(this._seed, this.options)
+
+        emulator.setState(this.getState())
+
+        return emulator
+    }
+
+    /**
+     * Summarizes the fees, sizes and execution budgets of all the regular txs in the blocks.
+     * @returns {EmulatorReport}
+     */
+    getReport() {
+        /**
+         * @type {EmulatorTxReport[]}
+         */
+        const reports = []
+
+        this.blocks.forEach((block, height) => {
+            block.forEach((tx) => {
+                if (tx.kind == "Regular") {
+                    reports.push(
+                        makeEmulatorTxReport(
+                            tx.tx,
+                            this.parametersSync,
+                            height,
+                            this.options.maxBlockSize
+                        )
+                    )
+                }
+            })
+        })
+
+        return summarizeEmulatorTxReports(reports)
+    }
+
+    /**
+     * Looks for a regular tx in the blocks and in the mempool.
+     * Throws an error if the tx isn't found.
      * @param {TxId} id
      * @returns {Promise<Tx>}
      */
     async getTx(id) {
-        const found = this.mempool.find((tx) => tx.id() === id)
+        const found =
+            this.findConfirmedTx(id) ??
+            this.mempool.find((tx) => tx.id().isEqual(id))
 
-        if (!found) {
+        if (!found || found.kind != "Regular") {
             throw new Error(`Tx ${id.toString()} not found`)
         }
 
-        return /** @type {any} */ (found)
+        return found.tx
     }
 
     /**
-     * Throws an error if the UTxO isn't found
-     * @param {TxOutputId} id
-     * @returns {Promise<TxInput>}
+     * Returns the resolved inputs and ref inputs, and the outputs of a regular tx in a block, along with its position in the chain.
+     * `blockTime` is in seconds since 1970 (or since the start of the emulation if `genesisTime` isn't set), like Blockfrost's `block_time`.
+     * Throws an error if the tx isn't found.
+     * @param {TxId} id
+     * @returns {Promise<ExtendedTxInfo>}
      */
-    async getUtxo(id) {
-        this.warnMempool()
+    async getTxInfo(id) {
+        const found = this.findConfirmedTx(id)
 
-        const utxo = this._allUtxos[id.toString()]
+        if (!found || found.kind != "Regular") {
+            throw new Error(`Tx ${id.toString()} not found`)
+        }
 
-        if (!utxo) {
-            throw new Error(`utxo with id ${id.toString()} doesn't exist`)
-        } else {
-            return utxo
+        const { height, index } = this._txLocations[id.toHex()]
+        const tx = found.tx
+
+        /**
+         * @param {TxInput} input
+         * @returns {TxInput}
+         */
+        const resolve = (input) => this._allUtxos[input.id.toString()] ?? input
+
+        return {
+            id,
+            inputs: tx.body.inputs.map(resolve),
+            refInputs: tx.body.refInputs.map(resolve),
+            outputs: tx.body.outputs,
+            blockHeight: height,
+            blockTime: Math.floor(this._headers[height].time / SECOND),
+            indexInBlock: index
         }
     }
 
     /**
+     * Returns the regular txs in the blocks that spend from, or pay to, an address, oldest first.
+     * `blockTime` is in seconds, see `getTxInfo()`.
      * @param {Address} address
-     * @returns {Promise<TxInput[]>}
+     * @returns {Promise<TxBlockInfo[]>}
      */
-    async getUtxos(address) {
-        this.warnMempool()
+    async getAddressTxs(address) {
+        const ids = this._addressTxs[address.toString()] ?? []
 
-        return this._addressUtxos[address.toString()] ?? []
-    }
+        return ids.map((id) => {
+            const { height, index } = this._txLocations[id.toHex()]
 
-    /**
-     * @param {TxOutputId} id
-     * @returns {Promise<boolean>}
-     */
-    async hasUtxo(id) {
-        return id.toString() in this._allUtxos
+            return {
+                id,
+                blockHeight: height,
+                blockTime: Math.floor(this._headers[height].time / SECOND),
+                indexInBlock: index
+            }
+        })
     }
 
     /**
-     * @param {TxInput} utxo
-     * @returns {boolean}
+     * Returns true if a regular tx with the given id is in a block or in the mempool
+     * @param {TxId} id
+     * @returns {Promise<boolean>}
      */
-    isConsumed(utxo) {
+    async hasTx(id) {
         return (
-            this._consumedUtxos.has(utxo.id.toString()) ||
-            this.mempool.some((tx) => {
-                return tx.consumes(utxo)
-            })
+            id.toHex() in this._txLocations ||
+            this.mempool.some(
+                (tx) => tx.kind == "Regular" && tx.id().isEqual(id)
+            )
         )
     }
 
     /**
-     * @returns {boolean}
+     * Fee, size, reference-script size and execution budget of a regular tx in a block or in the mempool,
+     * including the fractions of the tx and block limits used.
+     * Throws an error if the tx isn't found.
+     * @param {TxId} id
+     * @returns {EmulatorTxReport}
      */
-    isMainnet() {
-        return false
+    getTxReport(id) {
+        /**
+         * @param {EmulatorTx} tx
+         * @returns {boolean}
+         */
+        const matches = (tx) => tx.kind == "Regular" && tx.id().isEqual(id)
+
+        const height = this.blocks.findIndex((block) => block.some(matches))
+        const found =
+            height == -1
+                ? this.mempool.find(matches)
+                : this.blocks[height].find(matches)
+
+        if (!found || found.kind != "Regular") {
+            throw new Error(`Tx ${id.toString()} not found`)
+        }
+
+        return makeEmulatorTxReport(
+            found.tx,
+            this.parametersSync,
+            height == -1 ? undefined : height,
+            this.options.maxBlockSize
+        )
+    }
+
+    /**
+     * Throws an error if the UTxO isn't found
+     * @param {TxOutputId} id
+     * @returns {Promise<TxInput>}
+     */
+    async getUtxo(id) {
+        this.warnMempool()
+
+        const utxo = this.options.includeMempool
+            ? this.findUtxo(id)
+            : this._allUtxos[id.toString()]
+
+        if (!utxo) {
+            throw new Error(`utxo with id ${id.toString()} doesn't exist`)
+        } else {
+            return utxo
+        }
+    }
+
+    /**
+     * Returns undefined if the staking address isn't registered.
+     * Txs in the mempool aren't taken into account.
+     * @param {StakingAddress} stakingAddress
+     * @returns {EmulatorStakeAccount | undefined}
+     */
+    getStakeAccount(stakingAddress) {
+        const account =
+            this._stakeAccounts[stakingAddress.stakingCredential.toHex()]
+
+        return account ? { ...account } : undefined
+    }
+
+    /**
+     * @param {Address} address
+     * @returns {Promise<TxInput[]>}
+     */
+    async getUtxos(address) {
+        this.warnMempool()
+
+        const utxos = this._addressUtxos[address.toString()] ?? []
+
+        if (this.options.includeMempool) {
+            return this.mempool.reduce(
+                (utxos, tx) => tx.collectUtxos(address, utxos),
+                utxos.slice()
+            )
+        } else {
+            return utxos
+        }
+    }
+
+    /**
+     * Returns the addresses holding an asset class, along with the quantity held by each address (only addresses with a non-zero quantity are listed)
+     * @param {AssetClass} assetClass
+     * @returns {Promise<{address: Address, quantity: bigint}[]>}
+     */
+    async getAddressesWithAssetClass(assetClass) {
+        this.warnMempool()
+
+        const utxos = this.includeMempoolUtxos(
+            this._assetClassUtxos[assetClass.toString()] ?? [],
+            (utxo) => utxo.value.assets.hasAssetClass(assetClass)
+        )
+
+        /**
+         * @type {Map<string, {address: Address, quantity: bigint}>}
+         */
+        const addresses = new Map()
+
+        utxos.forEach((utxo) => {
+            const key = utxo.address.toString()
+            const quantity = utxo.value.assets.getAssetClassQuantity(assetClass)
+            const prev = addresses.get(key)
+
+            if (prev) {
+                prev.quantity += quantity
+            } else {
+                addresses.set(key, { address: utxo.address, quantity })
+            }
+        })
+
+        return Array.from(addresses.values())
+    }
+
+    /**
+     * @param {Address} address
+     * @param {AssetClass} assetClass
+     * @returns {Promise<TxInput[]>}
+     */
+    async getUtxosWithAssetClass(address, assetClass) {
+        this.warnMempool()
+
+        return this.includeMempoolUtxos(
+            this._assetClassUtxos[assetClass.toString()] ?? [],
+            (utxo) => utxo.value.assets.hasAssetClass(assetClass)
+        ).filter((utxo) => utxo.address.isEqual(address))
+    }
+
+    /**
+     * Returns the UTxOs at all the addresses with the given spending credential, regardless of their staking part
+     * @param {SpendingCredential} credential
+     * @returns {Promise<TxInput[]>}
+     */
+    async getUtxosWithSpendingCredential(credential) {
+        this.warnMempool()
+
+        const key = credential.toHex()
+
+        /**
+         * @param {TxInput} utxo
+         * @returns {boolean}
+         */
+        const hasCredential = (utxo) =>
+            utxo.address.era == "Shelley" &&
+            utxo.address.spendingCredential.toHex() == key
+
+        return this.includeMempoolUtxos(
+            this._credentialUtxos[key] ?? [],
+            hasCredential
+        )
+    }
+
+    /**
+     * @param {TxOutputId} id
+     * @returns {Promise<boolean>}
+     */
+    async hasUtxo(id) {
+        if (this.options.includeMempool) {
+            return this.findUtxo(id) !== undefined
+        } else {
+            return id.toString() in this._allUtxos
+        }
+    }
+
+    /**
+     * @param {TxInput} utxo
+     * @returns {boolean}
+     */
+    isConsumed(utxo) {
+        return (
+            this._consumedUtxos.has(utxo.id.toString()) ||
+            this.mempool.some((tx) => {
+                return tx.consumes(utxo)
+            })
+        )
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isMainnet() {
+        return false
+    }
+
+    /**
+     * Registers an event listener ("block", "rollback", "tx", "utxoCreated" or "utxoSpent").
+     * Returns a function that removes the listener again.
+     * @template {keyof EmulatorEvents} E
+     * @param {E} event
+     * @param {(event: EmulatorEvents[E]) => void} listener
+     * @returns {() => void}
+     */
+    on(event, listener) {
+        /**
+         * @type {((event: EmulatorEvents[E]) => void)[]}
+         */
+        const listeners = this._listeners[event]
+
+        listeners.push(listener)
+
+        return () => {
+            const i = listeners.indexOf(listener)
+
+            if (i != -1) {
+                listeners.splice(i, 1)
+            }
+        }
+    }
+
+    /**
+     * Listens to the UTxOs created and spent by confirmed txs, filtered by address and/or by asset class.
+     * Returns a function that removes the listener again.
+     * @param {EmulatorWatchFilter} filter
+     * @param {(event: EmulatorWatchEvent) => void} listener
+     * @returns {() => void}
+     */
+    watch(filter, listener) {
+        /**
+         * @param {TxInput} utxo
+         * @returns {boolean}
+         */
+        const matches = (utxo) =>
+            (!filter.address || utxo.address.isEqual(filter.address)) &&
+            (!filter.assetClass ||
+                utxo.value.assets.getAssetClassQuantity(filter.assetClass) > 0n)
+
+        const unsubscribeCreated = this.on("utxoCreated", (event) => {
+            if (matches(event.utxo)) {
+                listener({ kind: "Created", ...event })
+            }
+        })
+
+        const unsubscribeSpent = this.on("utxoSpent", (event) => {
+            if (matches(event.utxo)) {
+                listener({ kind: "Spent", ...event })
+            }
+        })
+
+        return () => {
+            unsubscribeCreated()
+            unsubscribeSpent()
+        }
+    }
+
+    /**
+     * Removes the last `nBlocks` blocks, restoring the UTxOs they consumed and the staking state before them.
+     * The txs of the removed blocks are put back into the mempool if `resubmit` is true (without revalidating them), otherwise only the genesis txs (created by `createWallet()` and `createUtxo()`) are put back, and the regular txs are dropped.
+     * Dropping also removes the mempool txs that depend on the outputs of the dropped txs.
+     * The current slot isn't changed.
+     * Notifies the "rollback" listeners.
+     * @param {number} nBlocks
+     * @param {{resubmit?: boolean}} options
+     */
+    rollback(nBlocks, options = {}) {
+        if (nBlocks <= 0 || nBlocks > this.blocks.length) {
+            throw new Error(
+                `nBlocks must be > 0 and <= ${this.blocks.length}, got ${nBlocks}`
+            )
+        }
+
+        const resubmit = options.resubmit ?? false
+        const height = this.blocks.length - nBlocks
+
+        const removed = this.blocks.splice(height)
+        this._headers.splice(height)
+        this._stakeAccounts = copyStakeAccounts(this._stakeHistory[height])
+        this._stakeHistory.splice(height)
+
+        this._allUtxos = {}
+        this._consumedUtxos = new Set()
+        this._addressUtxos = {}
+        this._assetClassUtxos = {}
+        this._credentialUtxos = {}
+        this._txIds = []
+        this._txLocations = {}
+        this._addressTxs = {}
+
+        this.blocks.forEach((block, height) => {
+            block.forEach((tx, index) => {
+                indexUtxos(this.caches, tx)
+                indexTx(this.caches, tx, height, index)
+            })
+        })
+
+        const removedTxs = removed.flat()
+
+        if (resubmit) {
+            this.mempool = removedTxs.concat(this.mempool)
+        } else {
+            // the genesis txs are kept, so the wallets created before the rollback point don't lose their funds
+            this.mempool = [
+                ...removedTxs.filter((tx) => tx.kind == "Genesis"),
+                ...this.mempool
+            ]
+            this.filterMempool(() => true)
+        }
+
+        this.emit("rollback", { blocks: removed, resubmitted: resubmit })
+    }
+
+    /**
+     * Rewinds the Emulator to a state previously returned by `snapshot()`.
+     * A snapshot can be restored multiple times.
+     * @param {EmulatorSnapshot} snapshot
+     */
+    restore(snapshot) {
+        const state = snapshots.get(snapshot)
+
+        if (!state) {
+            throw new Error("invalid Emulator snapshot")
+        }
+
+        this.setState(state)
+    }
+
+    /**
+     * Returns an opaque handle to the current state (blocks, mempool, UTxO caches, staking state, slot and RNG state).
+     * @returns {EmulatorSnapshot}
+     */
+    snapshot() {
+        /**
+         * @type {EmulatorSnapshot}
+         */
+        const snapshot = { kind: "EmulatorSnapshot" }
+
+        snapshots.set(snapshot, this.getState())
+
+        return snapshot
     }
 
     /**
@@ -286,7 +1086,7 @@ class EmulatorImpl {
 
         // make sure that each input exists
         for (const input of tx.body.inputs) {
-            if (!this.hasUtxo(input.id)) {
+            if (!this.hasUtxoSync(input.id)) {
                 throw new SubmissionUtxoError(
                     "some inputs don't exist",
                     input.id
@@ -296,7 +1096,7 @@ class EmulatorImpl {
 
         // make sure that each ref input exists
         for (const input of tx.body.refInputs) {
-            if (!this.hasUtxo(input.id)) {
+            if (!this.hasUtxoSync(input.id)) {
                 throw new SubmissionUtxoError(
                     "some ref inputs don't exist",
                     input.id
@@ -314,13 +1114,137 @@ class EmulatorImpl {
             }
         }
 
-        this.mempool.push(makeEmulatorRegularTx(tx))
+        if (this.options.strict) {
+            await this.validateTx(tx)
+        }
+
+        this.validateNativeScripts(tx)
+
+        // make sure the withdrawals and certificates are valid given the staking state after the txs in the mempool
+        const stakeAccounts = copyStakeAccounts(this._stakeAccounts)
+
+        this.mempool.forEach((prev) => {
+            if (prev.kind == "Regular") {
+                this.applyStakingChanges(stakeAccounts, prev.tx)
+            }
+        })
+
+        this.applyStakingChanges(stakeAccounts, tx)
+
+        const emulatorTx = makeEmulatorRegularTx(tx)
+
+        this.mempool.push(emulatorTx)
+
+        this.emit("tx", { tx: emulatorTx })
 
         return tx.id()
     }
 
+    /**
+     * Serializes the genesis txs, the blocks, the mempool, the staking state, the slot and the RNG position.
+     * Restore using `parseEmulator()`.
+     * @returns {EmulatorJsonSafe}
+     */
+    toJsonSafe() {
+        /**
+         * @type {Map<EmulatorTx, number>}
+         */
+        const genesisIndices = new Map(this.genesis.map((tx, i) => [tx, i]))
+
+        /**
+         * @param {EmulatorTx} tx
+         * @returns {number | string}
+         */
+        const encodeTx = (tx) => {
+            if (tx.kind == "Genesis") {
+                return expectDefined(genesisIndices.get(tx))
+            } else {
+                return bytesToHex(tx.tx.toCbor())
+            }
+        }
+
+        return {
+            seed: this._seed,
+            nRandomDraws: this._nRandomDraws,
+            currentSlot: this.currentSlot,
+            genesis: this.genesis.map((tx) =>
+                bytesToHex(tx.newUtxos()[0].output.toCbor())
+            ),
+            blocks: this.blocks.map((block) => block.map(encodeTx)),
+            headers: this._headers.map((header) => ({ ...header })),
+            mempool: this.mempool.map(encodeTx),
+            stakeAccounts: encodeStakeAccounts(this._stakeAccounts),
+            stakeHistory: this._stakeHistory.map(encodeStakeAccounts),
+            params: /** @type {JsonSafe} */ (this._params),
+            timeOrigin: this._timeOrigin
+        }
+    }
+
+    /**
+     * Simulates a protocol parameter update, which takes effect immediately.
+     * Time remains continuous if `secondsPerSlot` changes.
+     * `refTipSlot` and `refTipTime` are ignored.
+     * @param {Partial<NetworkParams>} params
+     */
+    updateParameters(params) {
+        const {
+            refTipSlot: _refTipSlot,
+            refTipTime: _refTipTime,
+            ...rest
+        } = params
+
+        this._timeOrigin = { slot: this.currentSlot, time: this.now }
+        this._params = { ...this._params, ...rest }
+    }
+
+    /**
+     * Mints a block with the current mempool (like `tick()`), and advances to the first slot at or after `time`.
+     * Throws an error if that slot isn't after the current slot.
+     * @param {number} time - milliseconds since 1970 (or since the start of the emulation if `genesisTime` isn't set)
+     */
+    advanceTo(time) {
+        const slotLength = this._params.secondsPerSlot * SECOND
+        const slot =
+            this._timeOrigin.slot +
+            Math.ceil((time - this._timeOrigin.time) / slotLength)
+
+        if (slot <= this.currentSlot) {
+            throw new Error(
+                `time must be after the current time, got ${time} (now is ${this.now})`
+            )
+        }
+
+        this.tick(slot - this.currentSlot)
+    }
+
+    /**
+     * Mints a block with the current mempool (like `tick()`), and advances by `duration` (rounded up to a whole number of slots).
+     * @param {number} duration - in milliseconds (e.g. `2 * WEEK`)
+     */
+    advanceBy(duration) {
+        this.advanceTo(this.now + duration)
+    }
+
+    /**
+     * Mints a block with the current mempool (like `tick()`), and advances to the first slot of an epoch.
+     * Throws an error if that epoch has already started.
+     * @param {number} epoch
+     */
+    advanceToEpoch(epoch) {
+        const slot = epoch * this.epochLength
+
+        if (slot <= this.currentSlot) {
+            throw new Error(
+                `epoch ${epoch} has already started (current epoch is ${this.currentEpoch})`
+            )
+        }
+
+        this.tick(slot - this.currentSlot)
+    }
+
     /**
      * Mint a block with the current mempool, and advance the slot by a number of slots.
+     * Mempool txs that aren't valid in the current slot are evicted, along with the txs that depend on them.
      * @param {IntLike} nSlots
      */
     tick(nSlots) {
@@ -328,20 +1252,463 @@ class EmulatorImpl {
             throw new Error(`nSlots must be > 0, got ${nSlots.toString()}`)
         }
 
+        // evict the txs that are no longer valid in the current slot, and the txs depending on them
+        const slot = BigInt(this.currentSlot)
+
+        this.filterMempool(
+            (tx) => tx.kind == "Genesis" || tx.tx.isValidSlot(slot)
+        )
+
         if (this.mempool.length > 0) {
-            this.pushBlock(this.mempool)
+            const nTxs = this.countTxsInNextBlock()
+
+            this.pushBlock(this.mempool.slice(0, nTxs))
 
-            this.mempool = []
+            this.mempool = this.mempool.slice(nTxs)
         }
 
         this.currentSlot += Number(nSlots)
     }
 
+    /**
+     * Applies the withdrawals and the certificates of a tx to a set of stake accounts.
+     * Throws an error if a withdrawal exceeds the reward balance, or if a certificate isn't valid for the current registration state.
+     * @private
+     * @param {Record<string, EmulatorStakeAccount>} accounts
+     * @param {Tx} tx
+     */
+    applyStakingChanges(accounts, tx) {
+        tx.body.withdrawals.forEach(([stakingAddress, lovelace]) => {
+            const account = this.getMutableStakeAccount(
+                accounts,
+                stakingAddress.stakingCredential
+            )
+
+            if (lovelace > account.rewards) {
+                throw new Error(
+                    `withdrawal of ${lovelace} lovelace from ${stakingAddress.toBech32()} exceeds reward balance of ${account.rewards} lovelace`
+                )
+            }
+
+            account.rewards -= lovelace
+        })
+
+        tx.body.dcerts.forEach((dcert) => {
+            switch (dcert.kind) {
+                case "RegistrationDCert": {
+                    const key = dcert.credential.toHex()
+
+                    if (key in accounts) {
+                        throw new Error(
+                            `staking credential ${key} already registered`
+                        )
+                    }
+
+                    accounts[key] = {
+                        deposit: BigInt(this.parametersSync.stakeAddrDeposit),
+                        poolId: undefined,
+                        rewards: 0n
+                    }
+                    break
+                }
+                case "DeregistrationDCert": {
+                    const account = this.getMutableStakeAccount(
+                        accounts,
+                        dcert.credential
+                    )
+
+                    if (account.rewards > 0n) {
+                        throw new Error(
+                            `staking credential ${dcert.credential.toHex()} can't be deregistered with a non-zero reward balance of ${account.rewards} lovelace`
+                        )
+                    }
+
+                    delete accounts[dcert.credential.toHex()]
+                    break
+                }
+                case "DelegationDCert": {
+                    const account = this.getMutableStakeAccount(
+                        accounts,
+                        dcert.credential
+                    )
+
+                    account.poolId = dcert.poolId
+                    break
+                }
+                default:
+                    // pool registration and retirement aren't tracked
+                    break
+            }
+        })
+    }
+
+    /**
+     * Throws an error if the staking credential isn't registered
+     * @private
+     * @param {Record<string, EmulatorStakeAccount>} accounts
+     * @param {StakingCredential} credential
+     * @returns {EmulatorStakeAccount}
+     */
+    getMutableStakeAccount(accounts, credential) {
+        const account = accounts[credential.toHex()]
+
+        if (!account) {
+            throw new Error(
+                `staking credential ${credential.toHex()} isn't registered`
+            )
+        }
+
+        return account
+    }
+
+    /**
+     * @private
+     * @type {EmulatorCaches}
+     */
+    get caches() {
+        return {
+            allUtxos: this._allUtxos,
+            consumedUtxos: this._consumedUtxos,
+            addressUtxos: this._addressUtxos,
+            assetClassUtxos: this._assetClassUtxos,
+            credentialUtxos: this._credentialUtxos,
+            txIds: this._txIds,
+            txLocations: this._txLocations,
+            addressTxs: this._addressTxs
+        }
+    }
+
+    /**
+     * Returns a copy of the current state
+     * @private
+     * @returns {EmulatorState}
+     */
+    getState() {
+        return copyState({
+            currentSlot: this.currentSlot,
+            seed: this._seed,
+            nRandomDraws: this._nRandomDraws,
+            genesis: this.genesis,
+            mempool: this.mempool,
+            blocks: this.blocks,
+            headers: this._headers,
+            allUtxos: this._allUtxos,
+            consumedUtxos: this._consumedUtxos,
+            addressUtxos: this._addressUtxos,
+            assetClassUtxos: this._assetClassUtxos,
+            credentialUtxos: this._credentialUtxos,
+            txIds: this._txIds,
+            txLocations: this._txLocations,
+            addressTxs: this._addressTxs,
+            stakeAccounts: this._stakeAccounts,
+            stakeHistory: this._stakeHistory,
+            params: this._params,
+            timeOrigin: this._timeOrigin
+        })
+    }
+
+    /**
+     * Copies a state into this Emulator, the given state remains unmodified
+     * @private
+     * @param {EmulatorState} state
+     */
+    setState(state) {
+        state = copyState(state)
+
+        this.currentSlot = state.currentSlot
+        this._seed = state.seed
+        this._random = this.initRandom(state.nRandomDraws)
+        this.genesis = state.genesis
+        this.mempool = state.mempool
+        this.blocks = state.blocks
+        this._headers = state.headers
+        this._allUtxos = state.allUtxos
+        this._consumedUtxos = state.consumedUtxos
+        this._addressUtxos = state.addressUtxos
+        this._assetClassUtxos = state.assetClassUtxos
+        this._credentialUtxos = state.credentialUtxos
+        this._txIds = state.txIds
+        this._txLocations = state.txLocations
+        this._addressTxs = state.addressTxs
+        this._stakeAccounts = state.stakeAccounts
+        this._stakeHistory = state.stakeHistory
+        this._params = state.params
+        this._timeOrigin = state.timeOrigin
+    }
+
+    /**
+     * Creates a number generator that skips the first `nDraws` numbers, and counts all subsequent draws
+     * @private
+     * @param {number} nDraws
+     * @returns {NumberGenerator}
+     */
+    initRandom(nDraws) {
+        const random = mulberry32(this._seed)
+
+        for (let i = 0; i < nDraws; i++) {
+            random()
+        }
+
+        this._nRandomDraws = nDraws
+
+        return () => {
+            this._nRandomDraws += 1
+
+            return random()
+        }
+    }
+
+    /**
+     * Number of mempool txs, in submission order, that fit in `maxBlockSize`.
+     * A block always contains at least one tx, so that an oversized tx can't stall the chain.
+     * Genesis txs don't take up any space.
+     * @private
+     * @returns {number}
+     */
+    countTxsInNextBlock() {
+        const maxBlockSize = this.options.maxBlockSize
+
+        if (maxBlockSize === undefined) {
+            return this.mempool.length
+        }
+
+        let size = 0
+
+        for (let i = 0; i < this.mempool.length; i++) {
+            const tx = this.mempool[i]
+
+            if (tx.kind == "Regular") {
+                size += tx.tx.toCbor().length
+            }
+
+            if (size > maxBlockSize) {
+                return Math.max(i, 1)
+            }
+        }
+
+        return this.mempool.length
+    }
+
+    /**
+     * @private
+     * @template {keyof EmulatorEvents} E
+     * @param {E} event
+     * @param {EmulatorEvents[E]} payload
+     */
+    emit(event, payload) {
+        /**
+         * @type {((event: EmulatorEvents[E]) => void)[]}
+         */
+        const listeners = this._listeners[event]
+
+        // copy so that listeners can unsubscribe while being notified
+        listeners.slice().forEach((listener) => listener(payload))
+    }
+
+    /**
+     * Keeps the mempool txs for which `keep` returns true, and whose inputs are still available
+     * (i.e. unspent in the confirmed state, or created by a preceding mempool tx that is kept).
+     * @private
+     * @param {(tx: EmulatorTx) => boolean} keep
+     */
+    filterMempool(keep) {
+        /**
+         * @type {EmulatorTx[]}
+         */
+        const mempool = []
+
+        this.mempool.forEach((tx) => {
+            const inputsExist =
+                tx.kind == "Genesis" ||
+                tx.tx.body.inputs.every(
+                    (input) =>
+                        (input.id.toString() in this._allUtxos &&
+                            !this._consumedUtxos.has(input.id.toString())) ||
+                        mempool.some((prev) => prev.getUtxo(input.id))
+                )
+
+            if (inputsExist && keep(tx)) {
+                mempool.push(tx)
+            }
+        })
+
+        this.mempool = mempool
+    }
+
+    /**
+     * If `includeMempool` is set, removes the UTxOs spent by the mempool txs from a list of confirmed UTxOs, and appends the matching UTxOs created by the mempool txs.
+     * Otherwise the list is returned unchanged.
+     * @private
+     * @param {TxInput[]} utxos
+     * @param {(utxo: TxInput) => boolean} predicate
+     * @returns {TxInput[]}
+     */
+    includeMempoolUtxos(utxos, predicate) {
+        if (!this.options.includeMempool) {
+            return utxos
+        }
+
+        return this.mempool.reduce(
+            (utxos, tx) =>
+                utxos
+                    .filter((utxo) => !tx.consumes(utxo))
+                    .concat(tx.newUtxos().filter(predicate)),
+            utxos
+        )
+    }
+
+    /**
+     * @private
+     * @param {TxId} id
+     * @returns {EmulatorTx | undefined}
+     */
+    findConfirmedTx(id) {
+        const location = this._txLocations[id.toHex()]
+
+        return location
+            ? this.blocks[location.height][location.index]
+            : undefined
+    }
+
+    /**
+     * Only UTxOs of confirmed txs exist, unless `strict` or `includeMempool` is set, in which case the UTxOs created by mempool txs also exist
+     * @private
+     * @param {TxOutputId} id
+     * @returns {boolean}
+     */
+    hasUtxoSync(id) {
+        if (this.options.strict || this.options.includeMempool) {
+            return this.findUtxo(id) !== undefined
+        } else {
+            return id.toString() in this._allUtxos
+        }
+    }
+
+    /**
+     * Looks for a UTxO in the blocks and in the mempool
+     * @private
+     * @param {TxOutputId} id
+     * @returns {TxInput | undefined}
+     */
+    findUtxo(id) {
+        const utxo = this._allUtxos[id.toString()]
+
+        if (utxo) {
+            return utxo
+        }
+
+        for (const tx of this.mempool) {
+            const utxo = tx.getUtxo(id)
+
+            if (utxo) {
+                return utxo
+            }
+        }
+
+        return undefined
+    }
+
+    /**
+     * Applies the ledger rules to a transaction before it enters the mempool:
+     *   * phase-1: size, fee, value conservation, collateral, min lovelace per output, ordering, metadata, script data hash
+     *   * phase-2: re-execution of each redeemer against the resolved inputs
+     *   * all required signatures are present and valid
+     * Throws an error if any of the checks fails.
+     * @private
+     * @param {Tx} tx
+     * @returns {Promise<void>}
+     */
+    async validateTx(tx) {
+        await tx.recover({
+            getUtxo: async (id) => {
+                const utxo = this.findUtxo(id)
+
+                if (!utxo) {
+                    throw new SubmissionUtxoError(
+                        `utxo with id ${id.toString()} doesn't exist`,
+                        id
+                    )
+                }
+
+                return utxo
+            }
+        })
+
+        tx.validate(this.parametersSync, { strict: true })
+
+        tx.validateSignatures()
+
+        tx.witnesses.verifySignatures(tx.body.toCbor())
+
+        // stake keys must sign withdrawals, deregistrations and delegations
+        const includedSigners = new Set(
+            tx.witnesses.signatures.map((s) => s.pubKeyHash.toHex())
+        )
+
+        /**
+         * @type {StakingCredential[]}
+         */
+        const stakingCredentials = tx.body.withdrawals
+            .map(([stakingAddress]) => stakingAddress.stakingCredential)
+            .concat(
+                tx.body.dcerts.flatMap((dcert) =>
+                    dcert.kind == "DeregistrationDCert" ||
+                    dcert.kind == "DelegationDCert"
+                        ? [dcert.credential]
+                        : []
+                )
+            )
+
+        stakingCredentials.forEach((credential) => {
+            if (
+                credential.kind == "PubKeyHash" &&
+                !includedSigners.has(credential.toHex())
+            ) {
+                throw new Error(
+                    `signature for staking credential ${credential.toHex()} missing`
+                )
+            }
+        })
+    }
+
+    /**
+     * Evaluates the native scripts attached to a tx against its signatures and its validity interval (as encoded in the tx):
+     *   * `sig` requires a signature by the key
+     *   * `after` requires the validity interval to start at or after the slot
+     *   * `before` requires the validity interval to end at or before the slot
+     * Throws an error if any of the native scripts isn't satisfied.
+     * @private
+     * @param {Tx} tx
+     */
+    validateNativeScripts(tx) {
+        const { firstValidSlot, lastValidSlot } = tx.body
+        const signers = tx.witnesses.signatures.map((s) => s.pubKeyHash)
+
+        /**
+         * @type {NativeContext}
+         */
+        const ctx = {
+            isAfter: (slot) =>
+                firstValidSlot !== undefined && firstValidSlot >= slot,
+            isBefore: (slot) =>
+                lastValidSlot !== undefined && lastValidSlot <= slot,
+            isSignedBy: (hash) => signers.some((s) => s.isEqual(hash))
+        }
+
+        for (const script of tx.witnesses.nativeScripts) {
+            if (!script.eval(ctx)) {
+                throw new Error(
+                    `native script ${bytesToHex(hashNativeScript(script))} not satisfied`
+                )
+            }
+        }
+    }
+
     /**
      * @private
      */
     warnMempool() {
-        if (this.mempool.length > 0) {
+        if (this.mempool.length > 0 && !this.options.includeMempool) {
             console.error(
                 "Warning: mempool not empty (hint: use 'network.tick()')"
             )
@@ -353,34 +1720,230 @@ class EmulatorImpl {
      * @param {EmulatorTx[]} txs
      */
     pushBlock(txs) {
+        const height = this.blocks.length
+
+        // the staking changes of the whole block are validated before any state is mutated
+        const stakeAccounts = copyStakeAccounts(this._stakeAccounts)
+
+        txs.forEach((tx) => {
+            if (tx.kind == "Regular") {
+                this.applyStakingChanges(stakeAccounts, tx.tx)
+            }
+        })
+
         this.blocks.push(txs)
+        this._headers.push({ slot: this.currentSlot, time: this.now })
+        this._stakeHistory.push(this._stakeAccounts)
+        this._stakeAccounts = stakeAccounts
 
         // add all new utxos
+        txs.forEach((tx, index) => {
+            indexUtxos(this.caches, tx)
+            indexTx(this.caches, tx, height, index)
+        })
+
+        // the listeners are only notified once the state is consistent again
         txs.forEach((tx) => {
+            tx.consumedUtxos().forEach((utxo) => {
+                this.emit("utxoSpent", {
+                    utxo: this._allUtxos[utxo.id.toString()] ?? utxo,
+                    tx
+                })
+            })
+
             tx.newUtxos().forEach((utxo) => {
-                const key = utxo.id.toString()
-                this._allUtxos[key] = utxo
+                this.emit("utxoCreated", { utxo, tx })
+            })
+        })
 
-                const addr = utxo.address.toString()
+        this.emit("block", {
+            height,
+            slot: this.currentSlot,
+            txs
+        })
+    }
+}
 
-                if (addr in this._addressUtxos) {
-                    this._addressUtxos[addr].push(utxo)
-                } else {
-                    this._addressUtxos[addr] = [utxo]
-                }
-            })
+/**
+ * Adds the UTxOs created by a tx to the caches, and removes the UTxOs it consumes
+ * @param {EmulatorCaches} caches
+ * @param {EmulatorTx} tx
+ */
+function indexUtxos(caches, tx) {
+    const { allUtxos, consumedUtxos } = caches
 
-            tx.consumedUtxos().forEach((utxo) => {
-                this._consumedUtxos.add(utxo.id.toString())
+    tx.newUtxos().forEach((utxo) => {
+        const key = utxo.id.toString()
+        allUtxos[key] = utxo
 
-                const addr = utxo.address.toString()
+        getUtxoIndexKeys(utxo).forEach(([index, key]) => {
+            const utxos = caches[index]
 
-                if (addr in this._addressUtxos) {
-                    this._addressUtxos[addr] = this._addressUtxos[addr].filter(
-                        (inner) => !inner.isEqual(utxo)
-                    )
-                }
-            })
+            if (key in utxos) {
+                utxos[key].push(utxo)
+            } else {
+                utxos[key] = [utxo]
+            }
         })
+    })
+
+    tx.consumedUtxos().forEach((utxo) => {
+        consumedUtxos.add(utxo.id.toString())
+
+        getUtxoIndexKeys(utxo).forEach(([index, key]) => {
+            const utxos = caches[index]
+
+            if (key in utxos) {
+                utxos[key] = utxos[key].filter((inner) => !inner.isEqual(utxo))
+            }
+        })
+    })
+}
+
+/**
+ * Adds a regular tx to the tx indexes, genesis txs are ignored.
+ * Must be called after `indexUtxos()`, so that the addresses of the inputs can be looked up.
+ * @param {EmulatorCaches} caches
+ * @param {EmulatorTx} tx
+ * @param {number} height
+ * @param {number} index
+ */
+function indexTx(caches, tx, height, index) {
+    if (tx.kind != "Regular") {
+        return
     }
+
+    const { txIds, txLocations, addressTxs, allUtxos } = caches
+    const id = tx.id()
+
+    txIds.push(id)
+    txLocations[id.toHex()] = { height, index }
+
+    const addresses = new Set(
+        tx.tx.body.inputs
+            .map((input) =>
+                (allUtxos[input.id.toString()] ?? input).address.toString()
+            )
+            .concat(
+                tx.tx.body.outputs.map((output) => output.address.toString())
+            )
+    )
+
+    addresses.forEach((addr) => {
+        if (addr in addressTxs) {
+            addressTxs[addr].push(id)
+        } else {
+            addressTxs[addr] = [id]
+        }
+    })
+}
+
+/**
+ * Returns the keys under which a UTxO is listed in each of the UTxO indexes
+ * @param {TxInput} utxo
+ * @returns {["addressUtxos" | "assetClassUtxos" | "credentialUtxos", string][]}
+ */
+function getUtxoIndexKeys(utxo) {
+    const address = utxo.address
+
+    /**
+     * @type {["addressUtxos" | "assetClassUtxos" | "credentialUtxos", string][]}
+     */
+    const keys = [["addressUtxos", address.toString()]]
+
+    if (address.era == "Shelley") {
+        keys.push(["credentialUtxos", address.spendingCredential.toHex()])
+    }
+
+    utxo.value.assets.assetClasses.forEach((assetClass) => {
+        keys.push(["assetClassUtxos", assetClass.toString()])
+    })
+
+    return keys
+}
+
+/**
+ * The txs and the UTxOs themselves aren't mutated, so only the containers need to be copied
+ * @param {EmulatorState} state
+ * @returns {EmulatorState}
+ */
+function copyState(state) {
+    return {
+        currentSlot: state.currentSlot,
+        seed: state.seed,
+        nRandomDraws: state.nRandomDraws,
+        genesis: state.genesis.slice(),
+        mempool: state.mempool.slice(),
+        blocks: state.blocks.map((block) => block.slice()),
+        headers: state.headers.slice(),
+        allUtxos: { ...state.allUtxos },
+        consumedUtxos: new Set(state.consumedUtxos),
+        addressUtxos: copyIndex(state.addressUtxos),
+        assetClassUtxos: copyIndex(state.assetClassUtxos),
+        credentialUtxos: copyIndex(state.credentialUtxos),
+        txIds: state.txIds.slice(),
+        txLocations: { ...state.txLocations },
+        addressTxs: copyIndex(state.addressTxs),
+        stakeAccounts: copyStakeAccounts(state.stakeAccounts),
+        stakeHistory: state.stakeHistory.map(copyStakeAccounts),
+        params: { ...state.params },
+        timeOrigin: { ...state.timeOrigin }
+    }
+}
+
+/**
+ * @template T
+ * @param {Record<string, T[]>} index
+ * @returns {Record<string, T[]>}
+ */
+function copyIndex(index) {
+    return Object.fromEntries(
+        Object.entries(index).map(([key, utxos]) => [key, utxos.slice()])
+    )
+}
+
+/**
+ * @param {Record<string, EmulatorStakeAccount>} accounts
+ * @returns {Record<string, EmulatorStakeAccount>}
+ */
+function copyStakeAccounts(accounts) {
+    return Object.fromEntries(
+        Object.entries(accounts).map(([key, account]) => [key, { ...account }])
+    )
+}
+
+/**
+ * @param {Record<string, EmulatorStakeAccount>} accounts
+ * @returns {EmulatorJsonSafe["stakeAccounts"]}
+ */
+function encodeStakeAccounts(accounts) {
+    return Object.fromEntries(
+        Object.entries(accounts).map(([key, account]) => [
+            key,
+            {
+                deposit: account.deposit.toString(),
+                ...(account.poolId ? { poolId: account.poolId.toHex() } : {}),
+                rewards: account.rewards.toString()
+            }
+        ])
+    )
+}
+
+/**
+ * @param {EmulatorJsonSafe["stakeAccounts"]} json
+ * @returns {Record<string, EmulatorStakeAccount>}
+ */
+function decodeStakeAccounts(json) {
+    return Object.fromEntries(
+        Object.entries(json).map(([key, account]) => [
+            key,
+            {
+                deposit: BigInt(account.deposit),
+                poolId: account.poolId
+                    ? makePubKeyHash(account.poolId)
+                    : undefined,
+                rewards: BigInt(account.rewards)
+            }
+        ])
+    )
 }
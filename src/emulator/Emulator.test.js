@@ -0,0 +1,1254 @@
+import { rejects, strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import {
+    hashNativeScript,
+    makeAfterScript,
+    makeAllScript,
+    makeAddress,
+    makeAssetClass,
+    makeAssets,
+    makeAtLeastScript,
+    makeBeforeScript,
+    makeMintingPolicyHash,
+    makePubKeyHash,
+    makeRegistrationDCert,
+    makeSigScript,
+    makeStakingAddress,
+    makeTxInput,
+    makeTxOutputId
+} from "@helios-lang/ledger"
+import { expectDefined } from "@helios-lang/type-utils"
+import { DAY, WEEK } from "../duration/index.js"
+import {
+    makeIntData,
+    makeUplcConst,
+    makeUplcLambda,
+    makeUplcProgramV2,
+    UNIT_VALUE
+} from "@helios-lang/uplc"
+import { makeTxBuilder } from "../txbuilder/index.js"
+import { makeEmulator, parseEmulator } from "./Emulator.js"
+import { isEmulatorJsonSafe } from "./EmulatorJsonSafe.js"
+
+/**
+ * @import { NativeScript, Tx } from "@helios-lang/ledger"
+ * @import { Emulator, SimpleWallet, TxBuilder } from "../index.js"
+ */
+
+describe("Emulator", () => {
+    describe("strict mode", () => {
+        it("accepts a correctly signed tx", async () => {
+            const emulator = makeEmulator(0, { strict: true })
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(0n)
+            emulator.tick(1n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            tx.addSignatures(await wallet1.signTx(tx))
+
+            const id = await emulator.submitTx(tx)
+            emulator.tick(1n)
+
+            strictEqual(id.isEqual(tx.id()), true)
+            strictEqual(
+                (await wallet2.utxos).some(
+                    (utxo) => utxo.value.lovelace == 10_000_000n
+                ),
+                true
+            )
+        })
+
+        it("rejects a tx without signatures", async () => {
+            const emulator = makeEmulator(0, { strict: true })
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(0n)
+            emulator.tick(1n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            await rejects(emulator.submitTx(tx))
+        })
+
+        it("rejects a tx with a fee that is too low", async () => {
+            const emulator = makeEmulator(0, { strict: true })
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(0n)
+            emulator.tick(1n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            tx.body.fee = 0n
+            tx.addSignatures(await wallet1.signTx(tx))
+
+            await rejects(emulator.submitTx(tx))
+        })
+
+        it("requires the stake key signature of a withdrawal built with TxBuilder", async () => {
+            const emulator = makeEmulator(0, { strict: true })
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            const stakingPubKeyHash = expectDefined(wallet.stakingPubKeyHash)
+            const stakingAddress = expectDefined(wallet.stakingAddress)
+
+            const registration = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .addDCert(makeRegistrationDCert(stakingPubKeyHash))
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+            registration.addSignatures(await wallet.signTx(registration))
+            await emulator.submitTx(registration)
+            emulator.tick(1n)
+            emulator.addRewards(stakingAddress, 1_000_000n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .withdrawUnsafe(stakingAddress, 1_000_000n)
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            const [spendingSignature, stakingSignature] =
+                await wallet.signTx(tx)
+
+            tx.addSignatures([spendingSignature])
+            await rejects(emulator.submitTx(tx), /signature for .* missing/)
+
+            tx.addSignatures([stakingSignature])
+            await emulator.submitTx(tx)
+            emulator.tick(1n)
+
+            strictEqual(emulator.getStakeAccount(stakingAddress)?.rewards, 0n)
+        })
+    })
+
+    it("rejects inputs that don't exist", async () => {
+        const emulator = makeEmulator()
+        const wallet = emulator.createWallet(100_000_000n)
+        emulator.tick(1n)
+
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(await wallet.utxos)
+            .build({
+                changeAddress: wallet.address,
+                networkParams: emulator.parametersSync
+            })
+
+        // a fresh emulator doesn't know about any of the inputs
+        await rejects(makeEmulator().submitTx(tx))
+    })
+
+    describe("staking", () => {
+        const poolId = makePubKeyHash(new Array(28).fill(1))
+
+        it("registers, delegates, distributes rewards and withdraws", async () => {
+            const emulator = makeEmulator(0, { strict: true })
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            const stakingPubKeyHash = expectDefined(wallet.stakingPubKeyHash)
+            const stakingAddress = expectDefined(wallet.stakingAddress)
+
+            // each step is signed using only wallet.signTx()
+            const registration = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .addDCert(makeRegistrationDCert(stakingPubKeyHash))
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            registration.addSignatures(await wallet.signTx(registration))
+            await emulator.submitTx(registration)
+            emulator.tick(1n)
+
+            const tx1 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .delegateUnsafe(stakingPubKeyHash, poolId)
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            tx1.addSignatures(await wallet.signTx(tx1))
+            await emulator.submitTx(tx1)
+            emulator.tick(1n)
+
+            const account = expectDefined(
+                emulator.getStakeAccount(stakingAddress)
+            )
+            strictEqual(account.poolId?.isEqual(poolId), true)
+            strictEqual(account.rewards, 0n)
+
+            emulator.distributeRewards(0.01)
+
+            const rewards = expectDefined(
+                emulator.getStakeAccount(stakingAddress)
+            ).rewards
+            strictEqual(rewards > 0n, true)
+
+            const tx2 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .withdrawUnsafe(stakingAddress, rewards)
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            tx2.addSignatures(await wallet.signTx(tx2))
+            await emulator.submitTx(tx2)
+            emulator.tick(1n)
+
+            strictEqual(emulator.getStakeAccount(stakingAddress)?.rewards, 0n)
+        })
+
+        it("rejects withdrawals that exceed the reward balance", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            const stakingPubKeyHash = expectDefined(wallet.stakingPubKeyHash)
+            const stakingAddress = expectDefined(wallet.stakingAddress)
+
+            const tx1 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .addDCert(makeRegistrationDCert(stakingPubKeyHash))
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            await emulator.submitTx(tx1)
+            emulator.tick(1n)
+            emulator.addRewards(stakingAddress, 1_000_000n)
+
+            const tx2 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .withdrawUnsafe(stakingAddress, 2_000_000n)
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            await rejects(emulator.submitTx(tx2))
+        })
+
+        it("rejects certificates for unregistered credentials", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .delegateUnsafe(expectDefined(wallet.stakingPubKeyHash), poolId)
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            await rejects(emulator.submitTx(tx))
+            strictEqual(
+                emulator.getStakeAccount(
+                    makeStakingAddress(
+                        false,
+                        expectDefined(wallet.stakingPubKeyHash)
+                    )
+                ),
+                undefined
+            )
+        })
+    })
+
+    describe("snapshot and fork", () => {
+        it("restore rewinds the blocks, the UTxOs, the slot and the RNG", async () => {
+            const emulator = makeEmulator()
+            emulator.createWallet(10_000_000n)
+            emulator.tick(1n)
+
+            const snapshot = emulator.snapshot()
+
+            const wallet = emulator.createWallet(20_000_000n)
+            emulator.tick(10n)
+
+            strictEqual((await emulator.getUtxos(wallet.address)).length, 1)
+
+            emulator.restore(snapshot)
+
+            strictEqual(emulator.currentSlot, 1)
+            strictEqual(emulator.blocks.length, 1)
+            strictEqual((await emulator.getUtxos(wallet.address)).length, 0)
+
+            // the same wallet is created again
+            const walletAgain = emulator.createWallet(20_000_000n)
+            strictEqual(walletAgain.address.isEqual(wallet.address), true)
+
+            // a snapshot can be restored more than once
+            emulator.restore(snapshot)
+            strictEqual(emulator.mempool.length, 0)
+        })
+
+        it("fork is independent of the original", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createWallet(10_000_000n)
+            emulator.tick(1n)
+
+            const fork = emulator.fork()
+            fork.createUtxo(wallet, 5_000_000n)
+            fork.tick(1n)
+
+            strictEqual((await fork.getUtxos(wallet.address)).length, 2)
+            strictEqual((await emulator.getUtxos(wallet.address)).length, 1)
+            strictEqual(emulator.currentSlot, 1)
+        })
+    })
+
+    describe("JSON", () => {
+        it("restores the blocks, the mempool, the UTxOs and the RNG position", async () => {
+            const emulator = makeEmulator(42)
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(0n)
+            emulator.tick(1n)
+
+            const tx1 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+            tx1.addSignatures(await wallet1.signTx(tx1))
+            await emulator.submitTx(tx1)
+            emulator.tick(5n)
+
+            const tx2 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet2.utxos)
+                .payUnsafe(wallet1.address, 5_000_000n)
+                .build({
+                    changeAddress: wallet2.address,
+                    networkParams: emulator.parametersSync
+                })
+            tx2.addSignatures(await wallet2.signTx(tx2))
+            await emulator.submitTx(tx2)
+
+            const json = emulator.toJsonSafe()
+            strictEqual(isEmulatorJsonSafe(json), true)
+
+            const restored = await parseEmulator(JSON.stringify(json))
+
+            strictEqual(restored.currentSlot, 6)
+            strictEqual(restored.mempool.length, 1)
+            strictEqual(restored.txIds.length, 1)
+            strictEqual(restored.txIds[0].isEqual(tx1.id()), true)
+            strictEqual(
+                (await restored.getUtxos(wallet2.address)).length,
+                (await emulator.getUtxos(wallet2.address)).length
+            )
+
+            restored.tick(1n)
+            emulator.tick(1n)
+
+            strictEqual(
+                (await restored.getUtxos(wallet1.address)).length,
+                (await emulator.getUtxos(wallet1.address)).length
+            )
+            strictEqual(
+                restored
+                    .createWallet(0n)
+                    .address.isEqual(emulator.createWallet(0n).address),
+                true
+            )
+        })
+
+        it("isEmulatorJsonSafe() returns false for invalid input", () => {
+            strictEqual(
+                isEmulatorJsonSafe({
+                    seed: 0,
+                    nRandomDraws: 0,
+                    currentSlot: 0,
+                    genesis: ["not cbor"],
+                    blocks: [],
+                    mempool: [],
+                    stakeAccounts: {}
+                }),
+                false
+            )
+        })
+    })
+
+    describe("network parameters", () => {
+        it("now is derived from genesisTime and secondsPerSlot", () => {
+            const emulator = makeEmulator(0, {
+                genesisTime: 1_700_000_000_000,
+                params: { secondsPerSlot: 20 }
+            })
+
+            emulator.tick(3n)
+
+            strictEqual(emulator.now, 1_700_000_060_000)
+            strictEqual(emulator.parametersSync.refTipTime, emulator.now)
+            strictEqual(emulator.parametersSync.refTipSlot, 3)
+        })
+
+        it("time remains continuous when the slot length changes", () => {
+            const emulator = makeEmulator()
+
+            emulator.tick(10n)
+            emulator.updateParameters({ secondsPerSlot: 2 })
+
+            strictEqual(emulator.now, 10_000)
+
+            emulator.tick(5n)
+
+            strictEqual(emulator.now, 20_000)
+            strictEqual(emulator.parametersSync.secondsPerSlot, 2)
+        })
+
+        it("strict mode uses the custom limits", async () => {
+            const emulator = makeEmulator(0, {
+                strict: true,
+                params: { maxTxSize: 100 }
+            })
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .buildUnsafe({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+            tx.addSignatures(await wallet.signTx(tx))
+
+            await rejects(emulator.submitTx(tx))
+
+            emulator.updateParameters({ maxTxSize: 16384 })
+
+            await emulator.submitTx(tx)
+        })
+    })
+
+    describe("rollback", () => {
+        /**
+         * @param {boolean} resubmit
+         */
+        async function setup(resubmit) {
+            const emulator = makeEmulator()
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(0n)
+            emulator.tick(1n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+            tx.addSignatures(await wallet1.signTx(tx))
+            await emulator.submitTx(tx)
+            emulator.tick(1n)
+
+            /**
+             * @type {number[]}
+             */
+            const nRemovedBlocks = []
+            const unsubscribe = emulator.on("rollback", (event) => {
+                nRemovedBlocks.push(event.blocks.length)
+                strictEqual(event.resubmitted, resubmit)
+            })
+
+            emulator.rollback(1, { resubmit })
+
+            return { emulator, wallet1, wallet2, nRemovedBlocks, unsubscribe }
+        }
+
+        it("restores the consumed UTxOs and notifies the listeners", async () => {
+            const { emulator, wallet1, wallet2, nRemovedBlocks, unsubscribe } =
+                await setup(false)
+
+            strictEqual(emulator.blocks.length, 1)
+            strictEqual(emulator.mempool.length, 0)
+            strictEqual(emulator.currentSlot, 2)
+            strictEqual((await wallet1.utxos)[0].value.lovelace, 100_000_000n)
+            strictEqual((await wallet2.utxos).length, 1)
+            strictEqual(nRemovedBlocks.length, 1)
+            strictEqual(nRemovedBlocks[0], 1)
+
+            unsubscribe()
+            emulator.rollback(1)
+            strictEqual(nRemovedBlocks.length, 1)
+        })
+
+        it("puts the txs back into the mempool if resubmit is true", async () => {
+            const { emulator, wallet2 } = await setup(true)
+
+            strictEqual(emulator.mempool.length, 1)
+
+            emulator.tick(1n)
+
+            strictEqual((await wallet2.utxos).length, 2)
+        })
+
+        it("keeps the genesis txs of the removed blocks if resubmit is false", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            emulator.rollback(1)
+
+            strictEqual(emulator.blocks.length, 0)
+            strictEqual(emulator.mempool.length, 1)
+            strictEqual(emulator.mempool[0].kind, "Genesis")
+
+            emulator.tick(1n)
+
+            strictEqual((await wallet.utxos)[0].value.lovelace, 100_000_000n)
+        })
+
+        it("doesn't share the stake accounts with snapshots", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            const stakingPubKeyHash = expectDefined(wallet.stakingPubKeyHash)
+            const stakingAddress = expectDefined(wallet.stakingAddress)
+
+            const register = async () => {
+                const tx = await makeTxBuilder({ isMainnet: false })
+                    .spendUnsafe(await wallet.utxos)
+                    .addDCert(makeRegistrationDCert(stakingPubKeyHash))
+                    .build({
+                        changeAddress: wallet.address,
+                        networkParams: emulator.parametersSync
+                    })
+
+                await emulator.submitTx(tx)
+                emulator.tick(1n)
+            }
+
+            await register()
+            const snapshot = emulator.snapshot()
+
+            emulator.rollback(1)
+            await register()
+
+            emulator.restore(snapshot)
+            emulator.rollback(1)
+
+            strictEqual(emulator.getStakeAccount(stakingAddress), undefined)
+
+            // rewards added after a rollback must not leak into the snapshot either
+            await register()
+            await emulator.submitTx(
+                await makeTxBuilder({ isMainnet: false })
+                    .spendUnsafe(await wallet.utxos)
+                    .payUnsafe(wallet.address, 10_000_000n)
+                    .build({
+                        changeAddress: wallet.address,
+                        networkParams: emulator.parametersSync
+                    })
+            )
+            emulator.tick(1n)
+
+            const snapshot2 = emulator.snapshot()
+
+            emulator.rollback(1)
+            emulator.addRewards(stakingAddress, 1_000_000n)
+
+            emulator.restore(snapshot2)
+            emulator.rollback(1)
+
+            strictEqual(emulator.getStakeAccount(stakingAddress)?.rewards, 0n)
+        })
+    })
+
+    describe("events", () => {
+        it("notifies tx, block and UTxO listeners", async () => {
+            const emulator = makeEmulator()
+
+            /**
+             * @type {string[]}
+             */
+            const events = []
+            emulator.on("tx", () => events.push("tx"))
+            emulator.on("utxoCreated", () => events.push("utxoCreated"))
+            emulator.on("utxoSpent", () => events.push("utxoSpent"))
+            emulator.on("block", (event) =>
+                events.push(`block ${event.height} ${event.txs.length}`)
+            )
+
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            strictEqual(events.join(","), "tx,utxoCreated,block 0 1")
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .payUnsafe(wallet.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx)
+            emulator.tick(1n)
+
+            strictEqual(
+                events.slice(3).join(","),
+                "tx,utxoSpent,utxoCreated,utxoCreated,block 1 1"
+            )
+        })
+
+        it("watch() filters by address", async () => {
+            const emulator = makeEmulator()
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(0n)
+
+            /**
+             * @type {string[]}
+             */
+            const events = []
+            const unsubscribe = emulator.watch(
+                { address: wallet2.address },
+                (event) => events.push(event.kind)
+            )
+
+            emulator.tick(1n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx)
+            emulator.tick(1n)
+
+            strictEqual(events.join(","), "Created,Created")
+
+            unsubscribe()
+            emulator.createUtxo(wallet2, 1_000_000n)
+            emulator.tick(1n)
+
+            strictEqual(events.length, 2)
+        })
+    })
+
+    describe("mempool", () => {
+        it("chained txs can be built within one slot if includeMempool is true", async () => {
+            const emulator = makeEmulator(0, { includeMempool: true })
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(0n)
+            emulator.tick(1n)
+
+            const tx1 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx1)
+
+            // pending outputs are visible, pending inputs are hidden
+            const utxos = await wallet1.utxos
+            strictEqual(utxos.length, 1)
+            strictEqual(utxos[0].id.txId.isEqual(tx1.id()), true)
+            strictEqual(await emulator.hasUtxo(utxos[0].id), true)
+
+            const tx2 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx2)
+            emulator.tick(1n)
+
+            strictEqual(emulator.blocks[1].length, 2)
+            strictEqual((await wallet2.utxos).length, 3)
+        })
+
+        it("rejects inputs created by mempool txs by default", async () => {
+            const emulator = makeEmulator()
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(0n)
+            emulator.tick(1n)
+
+            const tx1 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx1)
+
+            const tx2 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(
+                    makeTxInput(
+                        makeTxOutputId(tx1.id(), 1),
+                        tx1.body.outputs[1]
+                    )
+                )
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+
+            await rejects(emulator.submitTx(tx2))
+        })
+
+        it("evicts expired txs and the txs depending on them", async () => {
+            const emulator = makeEmulator(0, { includeMempool: true })
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            const tx1 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .payUnsafe(wallet.address, 10_000_000n)
+                .validToSlot(2)
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx1)
+
+            const tx2 = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx2)
+
+            emulator.currentSlot = 5
+            emulator.tick(1n)
+
+            strictEqual(emulator.blocks.length, 1)
+            strictEqual(emulator.mempool.length, 0)
+            strictEqual((await wallet.utxos)[0].value.lovelace, 100_000_000n)
+        })
+
+        it("txs that don't fit in maxBlockSize remain in the mempool", async () => {
+            const emulator = makeEmulator(0, { maxBlockSize: 300 })
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            for (let wallet of [wallet1, wallet2]) {
+                const tx = await makeTxBuilder({ isMainnet: false })
+                    .spendUnsafe(await wallet.utxos)
+                    .build({
+                        changeAddress: wallet.address,
+                        networkParams: emulator.parametersSync
+                    })
+                tx.addSignatures(await wallet.signTx(tx))
+                await emulator.submitTx(tx)
+            }
+
+            emulator.tick(1n)
+            strictEqual(emulator.blocks[1].length, 1)
+            strictEqual(emulator.mempool.length, 1)
+
+            emulator.tick(1n)
+            strictEqual(emulator.blocks[2].length, 1)
+            strictEqual(emulator.mempool.length, 0)
+        })
+    })
+
+    describe("reports", () => {
+        it("reports the fee, the size and the execution budget of each redeemer", async () => {
+            // always succeeds
+            const program = makeUplcProgramV2(
+                makeUplcLambda({
+                    body: makeUplcLambda({
+                        body: makeUplcConst({ value: UNIT_VALUE })
+                    })
+                })
+            )
+            const mph = makeMintingPolicyHash(program.hash())
+
+            const emulator = makeEmulator(0, { strict: true })
+            const wallet = emulator.createWallet(100_000_000n)
+            emulator.tick(1n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .attachUplcProgram(program)
+                .mintPolicyTokensUnsafe(mph, [["abcd", 1n]], makeIntData(0))
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+            tx.addSignatures(await wallet.signTx(tx))
+            await emulator.submitTx(tx)
+
+            strictEqual(emulator.getTxReport(tx.id()).blockHeight, undefined)
+
+            emulator.tick(1n)
+
+            const report = emulator.getTxReport(tx.id())
+            strictEqual(report.blockHeight, 1)
+            strictEqual(report.fee, tx.body.fee)
+            strictEqual(report.size, tx.toCbor().length)
+            strictEqual(report.redeemers.length, 1)
+            strictEqual(report.redeemers[0].purpose, "minting")
+            strictEqual(report.redeemers[0].mem > 0n, true)
+            strictEqual(report.mem, report.redeemers[0].mem)
+            strictEqual(
+                report.txLimits.size > 0 && report.txLimits.size < 1,
+                true
+            )
+
+            const summary = emulator.getReport()
+            strictEqual(summary.nTxs, 1)
+            strictEqual(summary.fee, tx.body.fee)
+            strictEqual(summary.maxTxLimits.mem, report.txLimits.mem)
+        })
+    })
+
+    describe("time travel", () => {
+        it("advanceBy() mints the mempool and moves the time forward", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createWallet(10_000_000n)
+            const before = emulator.now
+
+            emulator.advanceBy(2 * WEEK)
+
+            strictEqual(emulator.now, before + 2 * WEEK)
+            strictEqual(emulator.blocks.length, 1)
+            strictEqual((await wallet.utxos).length, 1)
+        })
+
+        it("advanceTo() rounds up to the next slot", () => {
+            const emulator = makeEmulator(0, {
+                genesisTime: 1_000,
+                params: { secondsPerSlot: 20 }
+            })
+
+            emulator.advanceTo(1_000 + DAY + 1)
+
+            strictEqual(emulator.currentSlot, DAY / 20_000 + 1)
+        })
+
+        it("advanceTo() throws if the time isn't in the future", () => {
+            const emulator = makeEmulator()
+            emulator.tick(10)
+
+            throws(() => emulator.advanceTo(emulator.now))
+        })
+
+        it("advanceToEpoch() moves to the first slot of the epoch", () => {
+            const emulator = makeEmulator(0, { epochLength: 100 })
+            emulator.tick(150)
+            strictEqual(emulator.currentEpoch, 1)
+
+            emulator.advanceToEpoch(3)
+
+            strictEqual(emulator.currentSlot, 300)
+            strictEqual(emulator.currentEpoch, 3)
+            throws(() => emulator.advanceToEpoch(3))
+        })
+    })
+
+    describe("native scripts", () => {
+        /**
+         * @param {Emulator} emulator
+         * @param {SimpleWallet} wallet
+         * @param {NativeScript} script
+         * @param {(b: TxBuilder) => TxBuilder} [config]
+         * @returns {Promise<Tx>}
+         */
+        async function buildMintTx(emulator, wallet, script, config) {
+            const mph = makeMintingPolicyHash(hashNativeScript(script))
+
+            const b = makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .attachNativeScript(script)
+                .mintPolicyTokensUnsafe(mph, [["abcd", 1n]])
+
+            return (config ? config(b) : b).build({
+                changeAddress: wallet.address,
+                networkParams: emulator.parametersSync
+            })
+        }
+
+        it("accepts a multisig mint with enough signatures", async () => {
+            const emulator = makeEmulator()
+            const [w1, w2, w3] = [1, 2, 3].map(() =>
+                emulator.createWallet(10_000_000n)
+            )
+            emulator.tick(1)
+
+            const script = makeAtLeastScript(
+                2,
+                [w1, w2, w3].map((w) => makeSigScript(w.spendingPubKeyHash))
+            )
+            const tx = await buildMintTx(emulator, w1, script)
+            tx.addSignatures(await w1.signTx(tx))
+            tx.addSignatures(await w3.signTx(tx))
+
+            await emulator.submitTx(tx)
+        })
+
+        it("rejects a multisig mint without enough signatures", async () => {
+            const emulator = makeEmulator()
+            const [w1, w2, w3] = [1, 2, 3].map(() =>
+                emulator.createWallet(10_000_000n)
+            )
+            emulator.tick(1)
+
+            const script = makeAtLeastScript(
+                2,
+                [w1, w2, w3].map((w) => makeSigScript(w.spendingPubKeyHash))
+            )
+            const tx = await buildMintTx(emulator, w1, script)
+            tx.addSignatures(await w1.signTx(tx))
+
+            await rejects(emulator.submitTx(tx), /native script/)
+        })
+
+        it("checks 'before' against the end of the validity interval", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createWallet(10_000_000n)
+            emulator.tick(1)
+
+            const script = makeAllScript([
+                makeSigScript(wallet.spendingPubKeyHash),
+                makeBeforeScript(50)
+            ])
+
+            const unbounded = await buildMintTx(emulator, wallet, script)
+            unbounded.addSignatures(await wallet.signTx(unbounded))
+            await rejects(emulator.submitTx(unbounded), /native script/)
+
+            const bounded = await buildMintTx(emulator, wallet, script, (b) =>
+                b.validToSlot(40)
+            )
+            bounded.addSignatures(await wallet.signTx(bounded))
+            await emulator.submitTx(bounded)
+        })
+
+        it("checks 'after' against the start of the validity interval", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createWallet(10_000_000n)
+            emulator.tick(100)
+
+            const script = makeAfterScript(50)
+
+            const early = await buildMintTx(emulator, wallet, script, (b) =>
+                b.validFromSlot(40)
+            )
+            await rejects(emulator.submitTx(early), /native script/)
+
+            const late = await buildMintTx(emulator, wallet, script, (b) =>
+                b.validFromSlot(60)
+            )
+            await emulator.submitTx(late)
+        })
+    })
+
+    describe("UTxO indexes", () => {
+        const assetClass = makeAssetClass(`${"ab".repeat(28)}.abcd`)
+
+        it("finds UTxOs and addresses by asset class", async () => {
+            const emulator = makeEmulator()
+            const wallet1 = emulator.createWallet(
+                10_000_000n,
+                makeAssets([[assetClass, 10n]])
+            )
+            const wallet2 = emulator.createWallet(10_000_000n)
+            emulator.tick(1)
+
+            strictEqual(
+                (
+                    await emulator.getUtxosWithAssetClass(
+                        wallet1.address,
+                        assetClass
+                    )
+                ).length,
+                1
+            )
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, [
+                    2_000_000n,
+                    makeAssets([[assetClass, 3n]])
+                ])
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx)
+            emulator.tick(1)
+
+            const addresses =
+                await emulator.getAddressesWithAssetClass(assetClass)
+
+            strictEqual(addresses.length, 2)
+            strictEqual(
+                addresses.find((a) => a.address.isEqual(wallet1.address))
+                    ?.quantity,
+                7n
+            )
+            strictEqual(
+                addresses.find((a) => a.address.isEqual(wallet2.address))
+                    ?.quantity,
+                3n
+            )
+            strictEqual(
+                (
+                    await emulator.getUtxosWithAssetClass(
+                        wallet2.address,
+                        assetClass
+                    )
+                ).length,
+                1
+            )
+        })
+
+        it("finds UTxOs at base and enterprise addresses sharing a spending key", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createWallet(10_000_000n)
+            emulator.tick(1)
+
+            const enterpriseAddress = makeAddress(
+                false,
+                wallet.spendingPubKeyHash
+            )
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .payUnsafe(enterpriseAddress, 2_000_000n)
+                .build({
+                    changeAddress: wallet.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx)
+
+            strictEqual(
+                (
+                    await emulator.getUtxosWithSpendingCredential(
+                        wallet.spendingPubKeyHash
+                    )
+                ).length,
+                1
+            )
+
+            emulator.tick(1)
+
+            const utxos = await emulator.getUtxosWithSpendingCredential(
+                wallet.spendingPubKeyHash
+            )
+
+            strictEqual(utxos.length, 2)
+            strictEqual(
+                utxos.some((utxo) => utxo.address.isEqual(enterpriseAddress)),
+                true
+            )
+
+            emulator.rollback(1)
+
+            strictEqual(
+                (
+                    await emulator.getUtxosWithSpendingCredential(
+                        wallet.spendingPubKeyHash
+                    )
+                ).length,
+                1
+            )
+        })
+    })
+
+    describe("tx history", () => {
+        /**
+         * @returns {Promise<{emulator: Emulator, wallet1: SimpleWallet, wallet2: SimpleWallet, tx: Tx}>}
+         */
+        async function setup() {
+            const emulator = makeEmulator(0, { genesisTime: 1_000_000 })
+            const wallet1 = emulator.createWallet(100_000_000n)
+            const wallet2 = emulator.createWallet(0n)
+            emulator.tick(10)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet1.utxos)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: emulator.parametersSync
+                })
+            await emulator.submitTx(tx)
+
+            return { emulator, wallet1, wallet2, tx }
+        }
+
+        it("finds txs in the mempool and in the blocks", async () => {
+            const { emulator, tx } = await setup()
+
+            strictEqual(
+                (await emulator.getTx(tx.id())).id().isEqual(tx.id()),
+                true
+            )
+            strictEqual(await emulator.hasTx(tx.id()), true)
+            await rejects(emulator.getTxInfo(tx.id()))
+
+            emulator.tick(1)
+
+            strictEqual(
+                (await emulator.getTx(tx.id())).id().isEqual(tx.id()),
+                true
+            )
+            strictEqual(await emulator.hasTx(tx.id()), true)
+            strictEqual(emulator.txIds.length, 1)
+        })
+
+        it("returns the block height, time and index of a tx", async () => {
+            const { emulator, wallet1, tx } = await setup()
+            emulator.tick(1)
+
+            const info = await emulator.getTxInfo(tx.id())
+
+            strictEqual(info.blockHeight, 1)
+            strictEqual(info.blockTime, 1_000 + 10)
+            strictEqual(info.indexInBlock, 0)
+            strictEqual(info.inputs[0].address.isEqual(wallet1.address), true)
+            strictEqual(info.outputs.length, tx.body.outputs.length)
+        })
+
+        it("lists the txs spending from or paying to an address", async () => {
+            const { emulator, wallet1, wallet2, tx } = await setup()
+            emulator.tick(1)
+
+            for (const wallet of [wallet1, wallet2]) {
+                const txs = await emulator.getAddressTxs(wallet.address)
+
+                strictEqual(txs.length, 1)
+                strictEqual(txs[0].id.isEqual(tx.id()), true)
+                strictEqual(txs[0].blockHeight, 1)
+            }
+
+            emulator.rollback(1)
+
+            strictEqual(
+                (await emulator.getAddressTxs(wallet2.address)).length,
+                0
+            )
+            strictEqual(await emulator.hasTx(tx.id()), false)
+        })
+
+        it("keeps the block times when restored from JSON", async () => {
+            const { emulator, tx } = await setup()
+            emulator.tick(1)
+            emulator.updateParameters({ secondsPerSlot: 20 })
+            emulator.tick(1)
+
+            const restored = await parseEmulator(
+                JSON.stringify(emulator.toJsonSafe())
+            )
+
+            strictEqual((await restored.getTxInfo(tx.id())).blockTime, 1_010)
+        })
+    })
+
+    describe("HD wallets", () => {
+        it("funds the addresses of a HD wallet separately", async () => {
+            const emulator = makeEmulator()
+            const wallet = emulator.createHdWallet(
+                [10_000_000n, 0n, 20_000_000n],
+                { nAddresses: 5 }
+            )
+            emulator.tick(1n)
+
+            const addresses = wallet.addresses
+            const used = await wallet.usedAddresses
+            const unused = await wallet.unusedAddresses
+
+            strictEqual(addresses.length, 5)
+            strictEqual(
+                new Set(addresses.map((a) => a.toString())).size,
+                addresses.length
+            )
+            strictEqual(used.length, 2)
+            strictEqual(used[0].isEqual(addresses[0]), true)
+            strictEqual(used[1].isEqual(addresses[2]), true)
+            strictEqual(unused.length, 3)
+            strictEqual(unused[0].isEqual(addresses[1]), true)
+            strictEqual(
+                (await wallet.utxos).reduce(
+                    (prev, utxo) => prev + utxo.value.lovelace,
+                    0n
+                ),
+                30_000_000n
+            )
+        })
+
+        it("signs for the keys of all the spent addresses", async () => {
+            const emulator = makeEmulator(0, { strict: true })
+            const wallet = emulator.createHdWallet([10_000_000n, 20_000_000n], {
+                nAddresses: 4
+            })
+            const other = emulator.createWallet(0n)
+            emulator.tick(1n)
+
+            const changeAddress = (await wallet.unusedAddresses)[0]
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(await wallet.utxos)
+                .payUnsafe(other.address, 15_000_000n)
+                .build({
+                    changeAddress,
+                    networkParams: emulator.parametersSync
+                })
+
+            const signatures = await wallet.signTx(tx)
+            strictEqual(signatures.length, 2)
+
+            tx.addSignatures(signatures)
+            await emulator.submitTx(tx)
+            emulator.tick(1n)
+
+            // addresses with tx history remain used after being emptied
+            strictEqual((await wallet.usedAddresses).length, 3)
+            strictEqual(
+                (await wallet.unusedAddresses)[0].isEqual(wallet.addresses[3]),
+                true
+            )
+        })
+
+        it("fails if there are more amounts than addresses", () => {
+            const emulator = makeEmulator()
+
+            throws(() =>
+                emulator.createHdWallet([1_000_000n, 1_000_000n], {
+                    nAddresses: 1
+                })
+            )
+        })
+    })
+})
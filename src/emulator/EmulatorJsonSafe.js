@@ -0,0 +1,105 @@
+import { isValidHex } from "@helios-lang/codec-utils"
+import { isValidPubKeyHash } from "@helios-lang/ledger"
+import {
+    assert,
+    expect,
+    isArray,
+    isFormattedString,
+    isNumber,
+    isObject,
+    isOneOf
+} from "@helios-lang/type-utils"
+import { isValidBigIntString, isValidTxOutputHex } from "../json.js"
+
+/**
+ * @import { NotifyOnFalse } from "@helios-lang/type-utils"
+ * @import { EmulatorJsonSafe } from "../index.js"
+ */
+
+const isEmulatorTxJsonSafe = isOneOf([isNumber, isFormattedString(isValidHex)])
+
+const isEmulatorStakeAccountJsonSafe = isObject({
+    deposit: isFormattedString(isValidBigIntString),
+    rewards: isFormattedString(isValidBigIntString)
+})
+
+/**
+ * @param {unknown} input
+ * @param {NotifyOnFalse} onFalse
+ * @returns {input is EmulatorJsonSafe["stakeAccounts"]}
+ */
+function isEmulatorStakeAccountsJsonSafe(input, onFalse = undefined) {
+    if (!isObject(input, {}, onFalse)) {
+        return false
+    }
+
+    for (const [key, account] of Object.entries(input)) {
+        if (
+            !isValidHex(key) ||
+            !isEmulatorStakeAccountJsonSafe(account) ||
+            ("poolId" in account &&
+                !isFormattedString(account.poolId, isValidPubKeyHash))
+        ) {
+            if (onFalse) {
+                onFalse(`invalid stake account ${key}`)
+            }
+            return false
+        }
+    }
+
+    return true
+}
+
+/**
+ * Asserts the content of input
+ * Superfluous properties are ignored
+ * @param {unknown} input
+ * @param {NotifyOnFalse} onFalse - optional error message notifier
+ * @returns {input is EmulatorJsonSafe}
+ */
+export function isEmulatorJsonSafe(input, onFalse = undefined) {
+    if (
+        !isObject(input, {
+            seed: isNumber,
+            nRandomDraws: isNumber,
+            currentSlot: isNumber,
+            genesis: isArray(isFormattedString(isValidTxOutputHex)),
+            blocks: isArray(isArray(isEmulatorTxJsonSafe)),
+            headers: isArray(isObject({ slot: isNumber, time: isNumber })),
+            mempool: isArray(isEmulatorTxJsonSafe),
+            stakeAccounts: isEmulatorStakeAccountsJsonSafe,
+            stakeHistory: isArray(isEmulatorStakeAccountsJsonSafe),
+            params: isObject({
+                secondsPerSlot: isNumber,
+                txFeeFixed: isNumber,
+                txFeePerByte: isNumber
+            }),
+            timeOrigin: isObject({ slot: isNumber, time: isNumber })
+        })
+    ) {
+        if (onFalse) {
+            onFalse("invalid EmulatorJsonSafe")
+        }
+        return false
+    }
+
+    return true
+}
+
+/**
+ * @param {unknown} input
+ * @param {string | undefined} msg
+ * @returns {asserts input is EmulatorJsonSafe}
+ */
+export function assertEmulatorJsonSafe(input, msg = undefined) {
+    return assert(input, isEmulatorJsonSafe, msg ?? undefined)
+}
+
+/**
+ * @param {unknown} input
+ * @param {string | undefined} msg
+ * @returns {EmulatorJsonSafe}
+ */
+export function expectEmulatorJsonSafe(input, msg = undefined) {
+    return expect(input, isEmulatorJsonSafe, msg ?? undefined)
+}
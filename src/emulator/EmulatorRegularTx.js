@@ -39,6 +39,13 @@ class EmulatorRegularTxImpl {
         return "Regular"
     }
 
+    /**
+     * @type {Tx}
+     */
+    get tx() {
+        return this._tx
+    }
+
     /**
      * @returns {TxId}
      */
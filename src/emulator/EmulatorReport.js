@@ -0,0 +1,116 @@
+import { calcRefScriptsSize } from "@helios-lang/ledger"
+import {
+    calcTxLimitFractions,
+    getRedeemerPurpose
+} from "../txbuilder/profiling.js"
+
+/**
+ * @import { NetworkParams, Tx, TxRedeemer } from "@helios-lang/ledger"
+ * @import { EmulatorRedeemerReport, EmulatorReport, EmulatorTxReport } from "../index.js"
+ */
+
+/**
+ * Mainnet block body size limit, used if the Emulator doesn't have a `maxBlockSize`
+ */
+const DEFAULT_MAX_BLOCK_SIZE = 90112
+
+/**
+ * Mainnet block execution-unit limits
+ */
+const MAX_BLOCK_EX_MEM = 62_000_000
+const MAX_BLOCK_EX_CPU = 20_000_000_000
+
+/**
+ * @param {Tx} tx - inputs and ref inputs must be recovered
+ * @param {NetworkParams} params
+ * @param {number | undefined} blockHeight
+ * @param {number} maxBlockSize
+ * @returns {EmulatorTxReport}
+ */
+export function makeEmulatorTxReport(
+    tx,
+    params,
+    blockHeight,
+    maxBlockSize = DEFAULT_MAX_BLOCK_SIZE
+) {
+    const redeemers = tx.witnesses.redeemers.map((redeemer) =>
+        makeEmulatorRedeemerReport(tx, redeemer, params)
+    )
+
+    const mem = redeemers.reduce((prev, r) => prev + r.mem, 0n)
+    const cpu = redeemers.reduce((prev, r) => prev + r.cpu, 0n)
+    const size = tx.toCbor().length
+
+    return {
+        id: tx.id(),
+        blockHeight,
+        fee: tx.body.fee,
+        size,
+        refScriptsSize: Number(
+            calcRefScriptsSize(tx.body.inputs, tx.body.refInputs)
+        ),
+        redeemers,
+        mem,
+        cpu,
+        txLimits: calcTxLimitFractions(params, size, mem, cpu),
+        blockLimits: {
+            size: size / maxBlockSize,
+            mem: Number(mem) / MAX_BLOCK_EX_MEM,
+            cpu: Number(cpu) / MAX_BLOCK_EX_CPU
+        }
+    }
+}
+
+/**
+ * @param {EmulatorTxReport[]} txs
+ * @returns {EmulatorReport}
+ */
+export function summarizeEmulatorTxReports(txs) {
+    /**
+     * @param {(tx: EmulatorTxReport) => number} fn
+     * @returns {number}
+     */
+    const max = (fn) => txs.reduce((prev, tx) => Math.max(prev, fn(tx)), 0)
+
+    return {
+        nTxs: txs.length,
+        fee: txs.reduce((prev, tx) => prev + tx.fee, 0n),
+        size: txs.reduce((prev, tx) => prev + tx.size, 0),
+        mem: txs.reduce((prev, tx) => prev + tx.mem, 0n),
+        cpu: txs.reduce((prev, tx) => prev + tx.cpu, 0n),
+        maxTxLimits: {
+            size: max((tx) => tx.txLimits.size),
+            mem: max((tx) => tx.txLimits.mem),
+            cpu: max((tx) => tx.txLimits.cpu)
+        },
+        txs
+    }
+}
+
+/**
+ * @param {Tx} tx
+ * @param {TxRedeemer} redeemer
+ * @param {NetworkParams} params
+ * @returns {EmulatorRedeemerReport}
+ */
+function makeEmulatorRedeemerReport(tx, redeemer, params) {
+    /**
+     * @type {string}
+     */
+    let summary
+
+    try {
+        summary = redeemer.getRedeemerDetailsWithoutArgs(tx).summary
+    } catch (_e) {
+        // the script can't be found if the tx wasn't fully recovered
+        summary = ""
+    }
+
+    return {
+        ...getRedeemerPurpose(redeemer),
+        summary,
+        mem: redeemer.cost.mem,
+        cpu: redeemer.cost.cpu,
+        fee: redeemer.calcExFee(params)
+    }
+}
@@ -0,0 +1,755 @@
+import { bytesToHex, encodeIntBE } from "@helios-lang/codec-utils"
+import { blake2b } from "@helios-lang/crypto"
+import {
+    decodeTx,
+    makeAddress,
+    makeAssetClass,
+    makeTxId
+} from "@helios-lang/ledger"
+import {
+    SubmissionExpiryError,
+    SubmissionUtxoError
+} from "../clients/errors.js"
+
+/**
+ * @import { JsonSafe } from "@helios-lang/type-utils"
+ * @import { AssetClass, NetworkParams, TxId, TxInput } from "@helios-lang/ledger"
+ * @import {
+ *   Emulator,
+ *   EmulatorServer,
+ *   EmulatorServerOptions,
+ *   EmulatorServerRequest,
+ *   EmulatorServerResponse,
+ *   EmulatorTx,
+ *   ExtendedTxInfo,
+ *   HttpCreateServer,
+ *   HttpServerI
+ * } from "../index.js"
+ */
+
+const DEFAULT_PORT = 3000
+const LOCALHOST = "127.0.0.1"
+const API_PREFIX = "/api/v0"
+const MAX_ITEMS_PER_PAGE = 100
+
+/** @type {Required<EmulatorServerOptions>} */
+const defaultOptions = {
+    hostname: LOCALHOST,
+    port: DEFAULT_PORT
+}
+
+/**
+ * CORS headers, so that browser dApps can query the server directly
+ */
+const RESPONSE_HEADERS = {
+    "access-control-allow-origin": "*",
+    "access-control-allow-methods": "GET, POST, OPTIONS",
+    "access-control-allow-headers": "content-type, project_id"
+}
+
+/**
+ * @param {Emulator} emulator
+ * @param {HttpCreateServer} createServer - e.g. `createServer` from `node:http`
+ * @param {EmulatorServerOptions} [options]
+ * @returns {EmulatorServer}
+ */
+export function makeEmulatorServer(emulator, createServer, options = {}) {
+    return new EmulatorServerImpl(emulator, createServer, options)
+}
+
+/**
+ * Serves an Emulator over HTTP, using the Blockfrost v0 routes called by `BlockfrostV0Client`
+ * See: https://docs.blockfrost.io
+ * @implements {EmulatorServer}
+ */
+class EmulatorServerImpl {
+    /**
+     * @readonly
+     * @type {Emulator}
+     */
+    emulator
+
+    /**
+     * @readonly
+     * @type {Required<EmulatorServerOptions>}
+     */
+    options
+
+    /**
+     * @private
+     * @readonly
+     * @type {HttpCreateServer}
+     */
+    createServer
+
+    /**
+     * @private
+     * @type {HttpServerI | undefined}
+     */
+    server
+
+    /**
+     * @private
+     * @type {string | undefined}
+     */
+    _url
+
+    /**
+     * @param {Emulator} emulator
+     * @param {HttpCreateServer} createServer
+     * @param {EmulatorServerOptions} options
+     */
+    constructor(emulator, createServer, options) {
+        this.emulator = emulator
+        this.createServer = createServer
+        this.options = {
+            ...defaultOptions,
+            ...options
+        }
+        this.server = undefined
+        this._url = undefined
+    }
+
+    /**
+     * Base url of the API, undefined if the server isn't listening
+     * @type {string | undefined}
+     */
+    get url() {
+        return this._url
+    }
+
+    /**
+     * @returns {Promise<string>}
+     */
+    async listen() {
+        if (this.server) {
+            throw new Error("EmulatorServer already listening")
+        }
+
+        const server = this.createServer(async (req, res) => {
+            /**
+             * @type {number[]}
+             */
+            const body = []
+
+            for await (const chunk of req) {
+                body.push(...chunk)
+            }
+
+            const response = await this.handle({
+                method: req.method ?? "GET",
+                url: req.url ?? "/",
+                body
+            })
+
+            res.writeHead(response.status, {
+                ...RESPONSE_HEADERS,
+                "content-type": "application/json"
+            })
+            res.end(JSON.stringify(response.body))
+        })
+
+        this.server = server
+
+        await new Promise((resolve) => {
+            server.listen(this.options.port, this.options.hostname, () =>
+                resolve(undefined)
+            )
+        })
+
+        const address = server.address()
+        const port =
+            address && typeof address != "string"
+                ? address.port
+                : this.options.port
+
+        this._url = `http://${this.options.hostname}:${port}${API_PREFIX}`
+
+        return this._url
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async close() {
+        const server = this.server
+
+        if (!server) {
+            return
+        }
+
+        this.server = undefined
+        this._url = undefined
+
+        await new Promise((resolve, reject) => {
+            server.close((err) => (err ? reject(err) : resolve(undefined)))
+        })
+    }
+
+    /**
+     * Handles a single request without going through the HTTP server
+     * @param {EmulatorServerRequest} request
+     * @returns {Promise<EmulatorServerResponse>}
+     */
+    async handle(request) {
+        const method = request.method.toUpperCase()
+        const url = new URL(request.url, "http://localhost")
+        const path = url.pathname.startsWith(API_PREFIX)
+            ? url.pathname.slice(API_PREFIX.length)
+            : url.pathname
+        const parts = path.split("/").filter((p) => p != "")
+
+        try {
+            if (method == "OPTIONS") {
+                return { status: 204, body: null }
+            } else if (method == "POST") {
+                if (parts.join("/") == "tx/submit") {
+                    return await this.submitTx(request.body ?? [])
+                }
+            } else if (method == "GET") {
+                const response = await this.get(parts, url.searchParams)
+
+                if (response) {
+                    return response
+                }
+            }
+
+            return makeErrorResponse(
+                404,
+                "The requested component has not been found."
+            )
+        } catch (e) {
+            return makeErrorResponse(
+                400,
+                e instanceof Error ? e.message : String(e)
+            )
+        }
+    }
+
+    /**
+     * Returns undefined if the route doesn't exist
+     * @private
+     * @param {string[]} parts
+     * @param {URLSearchParams} query
+     * @returns {Promise<EmulatorServerResponse | undefined>}
+     */
+    async get(parts, query) {
+        const [a, b, c, d] = parts
+
+        switch (parts.length) {
+            case 2:
+                if (a == "epochs" && b == "latest") {
+                    return makeResponse(this.getLatestEpoch())
+                } else if (a == "blocks" && b == "latest") {
+                    return makeResponse(this.getLatestBlock())
+                } else if (a == "txs") {
+                    return await this.getTxInfo(makeTxId(b))
+                }
+                break
+            case 3:
+                if (a == "epochs" && b == "latest" && c == "parameters") {
+                    return makeResponse(
+                        convertNetworkParams(
+                            this.emulator.parametersSync,
+                            this.emulator.currentEpoch
+                        )
+                    )
+                } else if (a == "addresses" && c == "utxos") {
+                    return await this.getAddressUtxos(b, undefined, query)
+                } else if (a == "addresses" && c == "transactions") {
+                    return await this.getAddressTxs(b, query)
+                } else if (a == "txs" && c == "utxos") {
+                    return await this.getTxUtxos(makeTxId(b))
+                } else if (a == "txs" && c == "cbor") {
+                    return await this.getTxCbor(makeTxId(b))
+                } else if (a == "scripts" && c == "cbor") {
+                    return this.getScriptCbor(b)
+                } else if (a == "assets" && c == "addresses") {
+                    return await this.getAssetAddresses(b, query)
+                }
+                break
+            case 4:
+                if (a == "addresses" && c == "utxos") {
+                    return await this.getAddressUtxos(b, d, query)
+                }
+                break
+        }
+
+        return undefined
+    }
+
+    /**
+     * @private
+     * @returns {JsonSafe}
+     */
+    getLatestEpoch() {
+        const blocks = this.emulator.blocks
+
+        return {
+            epoch: this.emulator.currentEpoch,
+            block_count: blocks.length,
+            tx_count: blocks.reduce((prev, block) => prev + block.length, 0)
+        }
+    }
+
+    /**
+     * @private
+     * @returns {JsonSafe}
+     */
+    getLatestBlock() {
+        const height = this.emulator.blocks.length - 1
+
+        return {
+            time: Math.floor(this.emulator.now / 1000),
+            height: height < 0 ? null : height,
+            hash: calcBlockHash(this.emulator.blocks, height),
+            slot: this.emulator.currentSlot,
+            epoch: this.emulator.currentEpoch,
+            tx_count: height < 0 ? 0 : this.emulator.blocks[height].length,
+            previous_block:
+                height < 1
+                    ? null
+                    : calcBlockHash(this.emulator.blocks, height - 1)
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} addr
+     * @param {string | undefined} unit
+     * @param {URLSearchParams} query
+     * @returns {Promise<EmulatorServerResponse>}
+     */
+    async getAddressUtxos(addr, unit, query) {
+        const address = makeAddress(addr)
+        const utxos = unit
+            ? await this.emulator.getUtxosWithAssetClass(
+                  address,
+                  parseUnit(unit)
+              )
+            : await this.emulator.getUtxos(address)
+
+        return makeResponse(
+            paginate(utxos, query).map((utxo) => ({
+                ...convertTxInput(utxo),
+                tx_hash: utxo.id.txId.toHex(),
+                tx_index: utxo.id.index
+            }))
+        )
+    }
+
+    /**
+     * @private
+     * @param {string} unit
+     * @param {URLSearchParams} query
+     * @returns {Promise<EmulatorServerResponse>}
+     */
+    async getAssetAddresses(unit, query) {
+        const addresses = await this.emulator.getAddressesWithAssetClass(
+            parseUnit(unit)
+        )
+
+        return makeResponse(
+            paginate(addresses, query).map(({ address, quantity }) => ({
+                address: address.toString(),
+                quantity: quantity.toString()
+            }))
+        )
+    }
+
+    /**
+     * @private
+     * @param {string} addr
+     * @param {URLSearchParams} query
+     * @returns {Promise<EmulatorServerResponse>}
+     */
+    async getAddressTxs(addr, query) {
+        const txs = await this.emulator.getAddressTxs(makeAddress(addr))
+
+        return makeResponse(
+            paginate(txs, query).map((tx) => ({
+                tx_hash: tx.id.toHex(),
+                tx_index: tx.indexInBlock,
+                block_height: tx.blockHeight,
+                block_time: tx.blockTime
+            }))
+        )
+    }
+
+    /**
+     * Only regular txs in blocks can be found
+     * @private
+     * @param {TxId} id
+     * @returns {Promise<EmulatorServerResponse | undefined>}
+     */
+    async getTxInfo(id) {
+        const info = await this.findTxInfo(id)
+
+        if (!info) {
+            return undefined
+        }
+
+        const tx = await this.emulator.getTx(id)
+
+        return makeResponse({
+            hash: id.toHex(),
+            block: calcBlockHash(this.emulator.blocks, info.blockHeight),
+            block_height: info.blockHeight,
+            block_time: info.blockTime,
+            index: info.indexInBlock,
+            fees: tx.body.fee.toString(),
+            size: tx.toCbor().length,
+            invalid_before: tx.body.firstValidSlot?.toString() ?? null,
+            invalid_hereafter: tx.body.lastValidSlot?.toString() ?? null,
+            valid_contract: true
+        })
+    }
+
+    /**
+     * @private
+     * @param {TxId} id
+     * @returns {Promise<EmulatorServerResponse | undefined>}
+     */
+    async getTxUtxos(id) {
+        const tx = await this.findTx(id)
+
+        if (!tx) {
+            return undefined
+        }
+
+        /**
+         * @param {TxInput} input
+         * @param {{collateral: boolean, reference: boolean}} props
+         * @returns {Promise<JsonSafe>}
+         */
+        const convertInput = async (input, props) => {
+            const utxo =
+                (await this.findTx(input.id.txId))?.getUtxo(input.id) ?? input
+
+            return {
+                ...convertTxInput(utxo),
+                tx_hash: input.id.txId.toHex(),
+                ...props
+            }
+        }
+
+        const inputs =
+            tx.kind == "Regular"
+                ? await Promise.all([
+                      ...tx.tx.body.inputs.map((input) =>
+                          convertInput(input, {
+                              collateral: false,
+                              reference: false
+                          })
+                      ),
+                      ...tx.tx.body.collateral.map((input) =>
+                          convertInput(input, {
+                              collateral: true,
+                              reference: false
+                          })
+                      ),
+                      ...tx.tx.body.refInputs.map((input) =>
+                          convertInput(input, {
+                              collateral: false,
+                              reference: true
+                          })
+                      )
+                  ])
+                : []
+
+        const outputs = tx.newUtxos().map((utxo) => ({
+            ...convertTxInput(utxo),
+            collateral: false,
+            consumed_by_tx: this.findConsumingTx(utxo)?.id().toHex() ?? null
+        }))
+
+        return makeResponse({
+            hash: id.toHex(),
+            inputs,
+            outputs
+        })
+    }
+
+    /**
+     * Genesis txs don't have a CBOR representation
+     * @private
+     * @param {TxId} id
+     * @returns {Promise<EmulatorServerResponse | undefined>}
+     */
+    async getTxCbor(id) {
+        if (!(await this.findTxInfo(id))) {
+            return undefined
+        }
+
+        const tx = await this.emulator.getTx(id)
+
+        return makeResponse({ cbor: bytesToHex(tx.toCbor()) })
+    }
+
+    /**
+     * Only scripts attached to tx outputs (i.e. reference scripts) can be found
+     * @private
+     * @param {string} hash
+     * @returns {EmulatorServerResponse | undefined}
+     */
+    getScriptCbor(hash) {
+        for (const block of this.emulator.blocks) {
+            for (const tx of block) {
+                if (tx.kind != "Regular") {
+                    continue
+                }
+
+                for (const output of tx.tx.body.outputs) {
+                    const refScript = output.refScript
+
+                    if (refScript && bytesToHex(refScript.hash()) == hash) {
+                        return makeResponse({
+                            cbor: bytesToHex(refScript.toCbor())
+                        })
+                    }
+                }
+            }
+        }
+
+        return undefined
+    }
+
+    /**
+     * Emulator errors are mapped onto the Cardano node error names that `BlockfrostV0Client.submitTx()` recognizes
+     * @private
+     * @param {number[]} body
+     * @returns {Promise<EmulatorServerResponse>}
+     */
+    async submitTx(body) {
+        const tx = decodeTx(body)
+
+        try {
+            // the Emulator needs the outputs spent by the tx inputs
+            await tx.recover({
+                getUtxo: async (id) => {
+                    try {
+                        return await this.emulator.getUtxo(id)
+                    } catch (e) {
+                        throw new SubmissionUtxoError(
+                            e instanceof Error ? e.message : String(e),
+                            id
+                        )
+                    }
+                }
+            })
+
+            const id = await this.emulator.submitTx(tx)
+
+            return makeResponse(id.toHex())
+        } catch (e) {
+            if (e instanceof SubmissionExpiryError) {
+                return makeErrorResponse(
+                    400,
+                    `OutsideValidityIntervalUTxO: ${e.message}`
+                )
+            } else if (e instanceof SubmissionUtxoError) {
+                return makeErrorResponse(400, `UtxoFailure: ${e.message}`)
+            } else {
+                throw e
+            }
+        }
+    }
+
+    /**
+     * Only regular txs in blocks are found, through the tx index of the emulator.
+     * Txs in the mempool aren't visible through Blockfrost either.
+     * @private
+     * @param {TxId} id
+     * @returns {Promise<ExtendedTxInfo | undefined>}
+     */
+    async findTxInfo(id) {
+        if (!(await this.emulator.hasTx(id))) {
+            return undefined
+        }
+
+        try {
+            return await this.emulator.getTxInfo(id)
+        } catch (_e) {
+            // in the mempool
+            return undefined
+        }
+    }
+
+    /**
+     * Genesis txs aren't in the tx index of the emulator, but there are typically only few of them
+     * @private
+     * @param {TxId} id
+     * @returns {Promise<EmulatorTx | undefined>}
+     */
+    async findTx(id) {
+        const genesisTx = this.emulator.genesis.find((tx) =>
+            tx.id().isEqual(id)
+        )
+
+        if (genesisTx) {
+            return this.emulator.mempool.includes(genesisTx)
+                ? undefined
+                : genesisTx
+        }
+
+        const info = await this.findTxInfo(id)
+
+        return info
+            ? this.emulator.blocks[info.blockHeight][info.indexInBlock]
+            : undefined
+    }
+
+    /**
+     * @private
+     * @param {TxInput} utxo
+     * @returns {EmulatorTx | undefined}
+     */
+    findConsumingTx(utxo) {
+        for (const block of this.emulator.blocks) {
+            const tx = block.find((tx) => tx.consumes(utxo))
+
+            if (tx) {
+                return tx
+            }
+        }
+
+        return undefined
+    }
+}
+
+/**
+ * @param {JsonSafe} body
+ * @returns {EmulatorServerResponse}
+ */
+function makeResponse(body) {
+    return { status: 200, body }
+}
+
+/**
+ * Uses the Blockfrost error format
+ * @param {number} status
+ * @param {string} message
+ * @returns {EmulatorServerResponse}
+ */
+function makeErrorResponse(status, message) {
+    return {
+        status,
+        body: {
+            status_code: status,
+            error: status == 404 ? "Not Found" : "Bad Request",
+            message
+        }
+    }
+}
+
+/**
+ * Applies the Blockfrost `order`, `count` and `page` query parameters
+ * @template T
+ * @param {T[]} items
+ * @param {URLSearchParams} query
+ * @returns {T[]}
+ */
+function paginate(items, query) {
+    if (query.get("order") == "desc") {
+        items = items.slice().reverse()
+    }
+
+    const count = Math.min(
+        parseInt(query.get("count") ?? `${MAX_ITEMS_PER_PAGE}`),
+        MAX_ITEMS_PER_PAGE
+    )
+    const page = parseInt(query.get("page") ?? "1")
+
+    return items.slice((page - 1) * count, page * count)
+}
+
+/**
+ * A Blockfrost unit is the concatenation of the minting policy hash and the token name
+ * @param {string} unit
+ * @returns {AssetClass}
+ */
+function parseUnit(unit) {
+    return makeAssetClass(`${unit.slice(0, 56)}.${unit.slice(56)}`)
+}
+
+/**
+ * The Emulator doesn't have real blocks, so the block hash is derived from the height and the tx ids
+ * @param {EmulatorTx[][]} blocks
+ * @param {number} height - -1 for the state before the first block
+ * @returns {string}
+ */
+function calcBlockHash(blocks, height) {
+    const txIds = height < 0 ? [] : blocks[height].map((tx) => tx.id().bytes)
+
+    return bytesToHex(blake2b(encodeIntBE(height + 1).concat(...txIds), 32))
+}
+
+/**
+ * @param {TxInput} utxo
+ * @returns {{[key: string]: JsonSafe}}
+ */
+function convertTxInput(utxo) {
+    const output = utxo.output
+    const datum = output.datum
+
+    return {
+        address: output.address.toString(),
+        amount: [
+            { unit: "lovelace", quantity: output.value.lovelace.toString() },
+            ...output.value.assets.assets.flatMap(([mph, tokens]) =>
+                tokens.map(([tokenName, qty]) => ({
+                    unit: `${mph.toHex()}${bytesToHex(tokenName)}`,
+                    quantity: qty.toString()
+                }))
+            )
+        ],
+        output_index: utxo.id.index,
+        data_hash: datum ? datum.hash.toHex() : null,
+        inline_datum:
+            datum?.kind == "InlineTxOutputDatum"
+                ? bytesToHex(datum.data.toCbor())
+                : null,
+        reference_script_hash: output.refScript
+            ? bytesToHex(output.refScript.hash())
+            : null
+    }
+}
+
+/**
+ * Converts the network parameters to the Blockfrost format.
+ * The PlutusV1 and PlutusV2 cost models use zero-padded indices as keys, so that sorting the keys restores the original order.
+ * @param {NetworkParams} params
+ * @param {number} epoch
+ * @returns {JsonSafe}
+ */
+function convertNetworkParams(params, epoch) {
+    /**
+     * @param {number[]} costModel
+     * @returns {{[key: string]: number}}
+     */
+    const convertCostModel = (costModel) =>
+        Object.fromEntries(
+            costModel.map((v, i) => [i.toString().padStart(3, "0"), v])
+        )
+
+    return {
+        epoch,
+        min_fee_a: params.txFeePerByte,
+        min_fee_b: params.txFeeFixed,
+        max_tx_size: params.maxTxSize,
+        key_deposit: params.stakeAddrDeposit.toString(),
+        price_mem: params.exMemFeePerUnit,
+        price_step: params.exCpuFeePerUnit,
+        max_tx_ex_mem: params.maxTxExMem.toString(),
+        max_tx_ex_steps: params.maxTxExCpu.toString(),
+        collateral_percent: params.collateralPercentage,
+        max_collateral_inputs: params.maxCollateralInputs,
+        coins_per_utxo_size: params.utxoDepositPerByte.toString(),
+        min_fee_ref_script_cost_per_byte: params.refScriptsFeePerByte,
+        cost_models: {
+            PlutusV1: convertCostModel(params.costModelParamsV1),
+            PlutusV2: convertCostModel(params.costModelParamsV2),
+            PlutusV3: params.costModelParamsV3
+        }
+    }
+}
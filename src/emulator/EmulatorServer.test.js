@@ -0,0 +1,293 @@
+import { deepEqual, strictEqual } from "node:assert"
+import { createServer } from "node:http"
+import { describe, it } from "node:test"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { makeAssets } from "@helios-lang/ledger"
+import { makeBlockfrostV0Client } from "../clients/index.js"
+import { makeTxBuilder } from "../txbuilder/index.js"
+import { makeEmulator } from "./Emulator.js"
+import { makeEmulatorServer } from "./EmulatorServer.js"
+
+/**
+ * @import { Emulator, SimpleWallet } from "../index.js"
+ */
+
+/**
+ * @returns {{emulator: Emulator, wallet1: SimpleWallet, wallet2: SimpleWallet}}
+ */
+function setup() {
+    const emulator = makeEmulator()
+    const wallet1 = emulator.createWallet(100_000_000n)
+    const wallet2 = emulator.createWallet(0n)
+    emulator.tick(1n)
+
+    return { emulator, wallet1, wallet2 }
+}
+
+describe("EmulatorServer", () => {
+    it("returns the current slot as the latest block", async () => {
+        const { emulator } = setup()
+        const server = makeEmulatorServer(emulator, createServer)
+
+        const response = await server.handle({
+            method: "GET",
+            url: "/api/v0/blocks/latest"
+        })
+
+        strictEqual(response.status, 200)
+        strictEqual(
+            /** @type {any} */ (response.body).slot,
+            emulator.currentSlot
+        )
+        strictEqual(/** @type {any} */ (response.body).height, 0)
+    })
+
+    it("returns the network parameters in the Blockfrost format", async () => {
+        const { emulator } = setup()
+        const server = makeEmulatorServer(emulator, createServer)
+
+        const response = await server.handle({
+            method: "GET",
+            url: "/epochs/latest/parameters"
+        })
+        const body = /** @type {any} */ (response.body)
+        const params = emulator.parametersSync
+
+        strictEqual(body.min_fee_a, params.txFeePerByte)
+        strictEqual(body.min_fee_b, params.txFeeFixed)
+        deepEqual(
+            Object.keys(body.cost_models.PlutusV2)
+                .sort()
+                .map((k) => body.cost_models.PlutusV2[k]),
+            params.costModelParamsV2
+        )
+    })
+
+    it("lists the UTxOs of an address and of a tx", async () => {
+        const { emulator, wallet1 } = setup()
+        const server = makeEmulatorServer(emulator, createServer)
+        const [utxo] = await wallet1.utxos
+
+        const addressResponse = await server.handle({
+            method: "GET",
+            url: `/addresses/${wallet1.address.toString()}/utxos?count=100&order=asc&page=1`
+        })
+
+        deepEqual(addressResponse.body, [
+            {
+                address: wallet1.address.toString(),
+                amount: [{ unit: "lovelace", quantity: "100000000" }],
+                output_index: utxo.id.index,
+                data_hash: null,
+                inline_datum: null,
+                reference_script_hash: null,
+                tx_hash: utxo.id.txId.toHex(),
+                tx_index: utxo.id.index
+            }
+        ])
+
+        const txResponse = await server.handle({
+            method: "GET",
+            url: `/txs/${utxo.id.txId.toHex()}/utxos`
+        })
+        const body = /** @type {any} */ (txResponse.body)
+
+        strictEqual(body.outputs[utxo.id.index].consumed_by_tx, null)
+    })
+
+    it("returns 404 for unknown txs and routes", async () => {
+        const { emulator } = setup()
+        const server = makeEmulatorServer(emulator, createServer)
+
+        const txResponse = await server.handle({
+            method: "GET",
+            url: `/txs/${"ff".repeat(32)}/utxos`
+        })
+        strictEqual(txResponse.status, 404)
+
+        const routeResponse = await server.handle({
+            method: "GET",
+            url: "/pools"
+        })
+        strictEqual(routeResponse.status, 404)
+    })
+
+    it("submits a tx and marks the spent UTxOs as consumed", async () => {
+        const { emulator, wallet1, wallet2 } = setup()
+        const server = makeEmulatorServer(emulator, createServer)
+        const [utxo] = await wallet1.utxos
+
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(utxo)
+            .payUnsafe(wallet2.address, 10_000_000n)
+            .build({
+                changeAddress: wallet1.address,
+                networkParams: emulator.parametersSync
+            })
+        tx.addSignatures(await wallet1.signTx(tx))
+
+        const submitResponse = await server.handle({
+            method: "POST",
+            url: "/tx/submit",
+            body: tx.toCbor()
+        })
+        strictEqual(submitResponse.body, tx.id().toHex())
+
+        emulator.tick(1n)
+
+        const cborResponse = await server.handle({
+            method: "GET",
+            url: `/txs/${tx.id().toHex()}/cbor`
+        })
+        deepEqual(cborResponse.body, { cbor: bytesToHex(tx.toCbor()) })
+
+        const utxosResponse = await server.handle({
+            method: "GET",
+            url: `/txs/${utxo.id.txId.toHex()}/utxos`
+        })
+        strictEqual(
+            /** @type {any} */ (utxosResponse.body).outputs[utxo.id.index]
+                .consumed_by_tx,
+            tx.id().toHex()
+        )
+
+        const resubmitResponse = await server.handle({
+            method: "POST",
+            url: "/tx/submit",
+            body: tx.toCbor()
+        })
+        strictEqual(resubmitResponse.status, 400)
+        strictEqual(
+            /** @type {any} */ (resubmitResponse.body).message.startsWith(
+                "UtxoFailure"
+            ),
+            true
+        )
+    })
+
+    it("serves the routes over HTTP", async () => {
+        const { emulator } = setup()
+        const server = makeEmulatorServer(emulator, createServer, { port: 0 })
+
+        const url = await server.listen()
+
+        try {
+            const response = await fetch(`${url}/blocks/latest`, {
+                headers: { project_id: "emulator" }
+            })
+            const body = /** @type {any} */ (await response.json())
+
+            strictEqual(response.status, 200)
+            strictEqual(body.slot, emulator.currentSlot)
+        } finally {
+            await server.close()
+        }
+
+        strictEqual(server.url, undefined)
+    })
+
+    it("can be queried by BlockfrostV0Client", async () => {
+        const { emulator, wallet1, wallet2 } = setup()
+        const server = makeEmulatorServer(emulator, createServer, { port: 0 })
+
+        const url = await server.listen()
+
+        try {
+            const client = makeBlockfrostV0Client("preprod", "emulator", {
+                baseUrl: url
+            })
+
+            const params = await client.parameters
+            strictEqual(
+                params.txFeePerByte,
+                emulator.parametersSync.txFeePerByte
+            )
+
+            const [utxo] = await client.getUtxos(wallet1.address)
+            strictEqual(utxo.value.lovelace, 100_000_000n)
+
+            const tx = await makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(utxo)
+                .payUnsafe(wallet2.address, 10_000_000n)
+                .build({
+                    changeAddress: wallet1.address,
+                    networkParams: params
+                })
+            tx.addSignatures(await wallet1.signTx(tx))
+
+            const txId = await client.submitTx(tx)
+            strictEqual(txId.isEqual(tx.id()), true)
+
+            emulator.tick(1n)
+
+            strictEqual(await client.hasTx(tx.id()), true)
+            strictEqual(await client.hasUtxo(utxo.id), false)
+
+            const payment = (await client.getUtxos(wallet2.address)).find(
+                (utxo) => utxo.id.txId.isEqual(tx.id())
+            )
+            strictEqual(payment?.value.lovelace, 10_000_000n)
+        } finally {
+            await server.close()
+        }
+    })
+
+    it("lists the addresses holding an asset class", async () => {
+        const emulator = makeEmulator()
+        const mph = "ab".repeat(28)
+        const wallet = emulator.createWallet(
+            10_000_000n,
+            makeAssets([[`${mph}.abcd`, 5n]])
+        )
+        emulator.tick(1n)
+        const server = makeEmulatorServer(emulator, createServer)
+
+        const response = await server.handle({
+            method: "GET",
+            url: `/assets/${mph}abcd/addresses`
+        })
+
+        deepEqual(response.body, [
+            { address: wallet.address.toString(), quantity: "5" }
+        ])
+    })
+
+    it("returns the block info of a tx and the txs of an address", async () => {
+        const { emulator, wallet1, wallet2 } = setup()
+        const server = makeEmulatorServer(emulator, createServer)
+
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(await wallet1.utxos)
+            .payUnsafe(wallet2.address, 10_000_000n)
+            .build({
+                changeAddress: wallet1.address,
+                networkParams: emulator.parametersSync
+            })
+        await emulator.submitTx(tx)
+        emulator.tick(1n)
+
+        const txResponse = await server.handle({
+            method: "GET",
+            url: `/txs/${tx.id().toHex()}`
+        })
+        const body = /** @type {any} */ (txResponse.body)
+
+        strictEqual(body.block_height, 1)
+        strictEqual(body.index, 0)
+        strictEqual(body.fees, tx.body.fee.toString())
+
+        const addressResponse = await server.handle({
+            method: "GET",
+            url: `/addresses/${wallet2.address.toString()}/transactions`
+        })
+
+        deepEqual(addressResponse.body, [
+            {
+                tx_hash: tx.id().toHex(),
+                tx_index: 0,
+                block_height: 1,
+                block_time: body.block_time
+            }
+        ])
+    })
+})
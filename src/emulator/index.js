@@ -1,3 +1,9 @@
-export { makeEmulator } from "./Emulator.js"
+export { makeEmulator, parseEmulator } from "./Emulator.js"
 export { makeEmulatorGenesisTx } from "./EmulatorGenesisTx.js"
+export {
+    assertEmulatorJsonSafe,
+    expectEmulatorJsonSafe,
+    isEmulatorJsonSafe
+} from "./EmulatorJsonSafe.js"
 export { makeEmulatorRegularTx } from "./EmulatorRegularTx.js"
+export { makeEmulatorServer } from "./EmulatorServer.js"
@@ -39,9 +39,14 @@ export {
     DEFAULT_TX_VALIDITY_OFFSETS
 } from "./duration/index.js"
 export {
+    assertEmulatorJsonSafe,
+    expectEmulatorJsonSafe,
+    isEmulatorJsonSafe,
     makeEmulator,
     makeEmulatorGenesisTx,
-    makeEmulatorRegularTx
+    makeEmulatorRegularTx,
+    makeEmulatorServer,
+    parseEmulator
 } from "./emulator/index.js"
 export {
     BIP39_DICT_EN,
@@ -58,15 +63,21 @@ export {
     signCip30CoseData
 } from "./keys/index.js"
 export {
+    assertTxBuilderJsonSafe,
+    buildTxBatch,
+    expectTxBuilderJsonSafe,
+    isTxBuilderJsonSafe,
     makeCachedRefScriptRegistry,
     makeRefScriptRegistry,
-    makeTxBuilder
+    makeTxBuilder,
+    restoreTxBuilder
 } from "./txbuilder/index.js"
 export {
     assertOfflineWalletJsonSafe,
     expectOfflineWalletJsonSafe,
     isOfflineWalletJsonSafe,
     makeCip30Wallet,
+    makeHdWallet,
     makeOfflineWallet,
     makeRandomSimpleWallet,
     makeSimpleWallet,
@@ -78,6 +89,7 @@ export {
 /**
  * @import { BytesLike, IntLike } from "@helios-lang/codec-utils"
  * @import { Address, AssetClass, Assets, DatumPaymentContext, DCert, MintingContext, MintingPolicyHash, MintingPolicyHashLike, NativeScript, NetworkParams, PubKey, PubKeyHash, PubKeyHashLike, ShelleyAddress, ShelleyAddressLike, Signature, SpendingContext, SpendingCredential, StakingAddress, StakingAddressLike, StakingContext, StakingValidatorHash, TimeLike, TokenValue, Tx, TxBodyEncodingConfig, TxId, TxInfo, TxInput, TxMetadataAttr, TxOutput, TxOutputId, TxOutputDatum, TxOutputDatumCastable, TxWitnessesEncodingConfig, ValidatorHash, Value, ValueLike } from "@helios-lang/ledger"
+ * @import { JsonSafe } from "@helios-lang/type-utils"
  * @import { Cost, UplcData, UplcLogger, UplcProgram } from "@helios-lang/uplc"
  */
 
@@ -97,6 +109,7 @@ export {
  *   blockHeight: number
  *   indexInBlock: number
  * }} TxBlockInfo
+ * `blockTime` is in seconds since 1970 (as returned by Blockfrost)
  */
 
 /**
@@ -111,6 +124,10 @@ export {
  * @typedef {object} BlockfrostV0Client
  * @prop {NetworkName} networkName
  * @prop {string} projectId
+ *
+ * @prop {string} baseUrl
+ * Base url of the API, without a trailing slash (e.g. `https://cardano-preprod.blockfrost.io/api/v0`)
+ *
  * @prop {Promise<any>} latestEpoch
  * @prop {number} now
  * ms since 1970
@@ -154,6 +171,14 @@ export {
  * Submits a transaction to the blockchain.
  */
 
+/**
+ * @typedef {{
+ *   baseUrl?: string
+ * }} BlockfrostV0ClientOptions
+ * `baseUrl` defaults to the public Blockfrost API of the given network (e.g. `https://cardano-preprod.blockfrost.io/api/v0`).
+ * Set it to use a self-hosted Blockfrost instance, or an `EmulatorServer` (e.g. `http://127.0.0.1:3000/api/v0`).
+ */
+
 /**
  * Returns by `getAssetClassInfo()`
  * @typedef {object} AssetClassInfo
@@ -314,6 +339,9 @@ export {
  * @prop {(tx: Tx) => Promise<TxId>} submitTx
  * Submits a transaction to the blockchain and returns the id of that transaction upon success.
  *
+ * @prop {(address: Address) => Promise<TxBlockInfo[]>} [getAddressTxs]
+ * Optionally returns the txs which spend from, or pay to, a given address (used by HdWallet to detect used addresses)
+ *
  * @prop {(utxoId: TxOutputId) => Promise<boolean>} hasUtxo
  * indicates whether the underlying network is known to have the UTxO
  */
@@ -363,38 +391,104 @@ export {
  * @typedef {object} Emulator
  * A simple emulated Network.
  * This can be used to do integration tests of whole dApps.
- * Staking is not yet supported.
  *
  * @prop {number} currentSlot
+ *
+ * @prop {number} currentEpoch
+ * Epochs are counted from slot 0, and are `epochLength` slots long (see `EmulatorOptions`)
+ *
  * @prop {EmulatorGenesisTx[]} genesis
  * @prop {EmulatorTx[]} mempool
  * @prop {EmulatorTx[][]} blocks
  *
  * @prop {number} now
- * Multiplies currentslot by 1000
- * (i.e. each slot is assumed to be 1000 milliseconds)
+ * Milliseconds since 1970 (or since the start of the emulation if `genesisTime` isn't set),
+ * calculated using `secondsPerSlot` of the network parameters
  *
  * @prop {Promise<NetworkParams>} parameters
  * @prop {NetworkParams} parametersSync
  *
  * @prop {TxId[]} txIds
- * Ignores the genesis txs
+ * Ids of the regular txs in the blocks, in order (ignores the genesis txs)
+ *
+ * @prop {(time: number) => void} advanceTo
+ * Mints a block with the current mempool (like `tick()`), and advances to the first slot at or after `time` (in milliseconds).
+ * Throws an error if that slot isn't after the current slot.
+ *
+ * @prop {(duration: number) => void} advanceBy
+ * Mints a block with the current mempool (like `tick()`), and advances by `duration` (in milliseconds, e.g. `2 * WEEK`).
+ * The duration is rounded up to a whole number of slots.
+ *
+ * @prop {(epoch: number) => void} advanceToEpoch
+ * Mints a block with the current mempool (like `tick()`), and advances to the first slot of `epoch`.
+ * Throws an error if that epoch has already started.
+ *
+ * @prop {(stakingAddress: StakingAddress, lovelace: IntLike) => void} addRewards
+ * Credits the reward account of a registered staking address.
+ * Throws an error if the staking address isn't registered.
  *
  * @prop {(lovelace?: bigint, assets?: Assets) => SimpleWallet} createWallet
  * Creates a new SimpleWallet and populates it with a given lovelace quantity and assets.
  * Special genesis transactions are added to the emulated chain in order to create these assets.
  *
+ * @prop {(lovelace?: bigint[], options?: HdWalletOptions) => HdWallet} createHdWallet
+ * Creates a new HdWallet, and creates a UTxO containing `lovelace[i]` at the i-th address of the wallet (zero entries are skipped, leaving those addresses unused).
+ * Throws an error if `lovelace` has more entries than the wallet has addresses.
+ *
  * @prop {(wallet: SimpleWallet, lovelace: bigint, assets?: Assets) => TxOutputId} createUtxo
  * Creates a UTxO using a GenesisTx.
  *
+ * @prop {(rewardRate: number) => void} distributeRewards
+ * Simulates an epoch boundary: every registered staking address that is delegated to a pool is credited with `rewardRate` times the lovelace held by the confirmed UTxOs at addresses with that staking credential.
+ *
  * @prop {() => void} dump
  * Dumps to current emulator state to console
  *
+ * @prop {() => Emulator} fork
+ * Creates an independent copy of the Emulator, including the RNG state.
+ * Note: wallets created by the original Emulator remain bound to the original Emulator.
+ *
+ * @prop {(stakingAddress: StakingAddress) => (EmulatorStakeAccount | undefined)} getStakeAccount
+ * Returns undefined if the staking address isn't registered.
+ * Txs in the mempool aren't taken into account.
+ *
+ * @prop {(address: Address) => Promise<TxBlockInfo[]>} getAddressTxs
+ * Returns the regular txs in the blocks that spend from, or pay to, the given `address`, oldest first.
+ * `blockTime` is in seconds since 1970 (or since the start of the emulation if `genesisTime` isn't set).
+ *
+ * @prop {() => EmulatorReport} getReport
+ * Summarizes the fees, sizes and execution budgets of all the regular txs in the blocks.
+ *
+ * @prop {(id: TxId) => Promise<Tx>} getTx
+ * Looks for a regular tx in the blocks and in the mempool.
+ * Throws an error if the tx isn't found.
+ *
+ * @prop {(id: TxId) => Promise<ExtendedTxInfo>} getTxInfo
+ * Returns the resolved inputs, the outputs and the position of a regular tx in the blocks.
+ * `blockTime` is in seconds, like in `getAddressTxs()`.
+ * Throws an error if the tx isn't found.
+ *
+ * @prop {(id: TxId) => EmulatorTxReport} getTxReport
+ * Fee, size, reference-script size and execution budget of a regular tx in a block or in the mempool,
+ * including the fractions of the tx and block limits used.
+ * Throws an error if the tx isn't found.
+ *
  * @prop {(id: TxOutputId) => Promise<TxInput>} getUtxo
  * Throws an error if the UTxO isn't found
  *
  * @prop {(addr: Address) => Promise<TxInput[]>} getUtxos
  *
+ * @prop {(assetClass: AssetClass) => Promise<{address: Address, quantity: bigint}[]>} getAddressesWithAssetClass
+ * Returns the addresses holding an asset class, along with the quantity held by each address.
+ *
+ * @prop {(address: Address, assetClass: AssetClass) => Promise<TxInput[]>} getUtxosWithAssetClass
+ *
+ * @prop {(credential: SpendingCredential) => Promise<TxInput[]>} getUtxosWithSpendingCredential
+ * Returns the UTxOs at all the addresses with the given spending credential, regardless of their staking part (e.g. base and enterprise addresses sharing a key).
+ *
+ * @prop {(id: TxId) => Promise<boolean>} hasTx
+ * Returns true if a regular tx is in a block or in the mempool
+ *
  * @prop {(utxoId: TxOutputId) => Promise<boolean>} hasUtxo
  * true if the utxo is in the known set
  *
@@ -403,9 +497,79 @@ export {
  * @prop {() => boolean} isMainnet
  * Returns false
  *
+ * @prop {<E extends keyof EmulatorEvents>(event: E, listener: (event: EmulatorEvents[E]) => void) => (() => void)} on
+ * Registers an event listener ("block", "rollback", "tx", "utxoCreated" or "utxoSpent").
+ * Returns a function that removes the listener again.
+ *
+ * @prop {(nBlocks: number, options?: {resubmit?: boolean}) => void} rollback
+ * Removes the last `nBlocks` blocks, restoring the UTxOs they consumed and the staking state before them.
+ * The txs of the removed blocks are put back into the mempool if `resubmit` is true (without revalidating them), otherwise only the genesis txs (created by `createWallet()` and `createUtxo()`) are put back, and the regular txs are dropped.
+ * Dropping also removes the mempool txs that depend on the outputs of the dropped txs.
+ * The current slot isn't changed.
+ * Notifies the "rollback" listeners.
+ *
+ * @prop {(snapshot: EmulatorSnapshot) => void} restore
+ * Rewinds the Emulator to a state previously returned by `snapshot()`.
+ * A snapshot can be restored multiple times.
+ *
+ * @prop {() => EmulatorSnapshot} snapshot
+ * Returns an opaque handle to the current state (blocks, mempool, UTxO caches, staking state, slot and RNG state).
+ *
  * @prop {(tx: Tx) => Promise<TxId>} submitTx
+ * Checks the validity time range, that the inputs exist and haven't been spent yet, that the attached native scripts are satisfied by the signatures and the validity time range,
+ * and that the withdrawals and certificates are valid for the current staking state.
+ * In strict mode the full ledger rules are applied as well (see `EmulatorOptions`).
  *
  * @prop {(nSlots: IntLike) => void} tick
+ * Mint a block with the current mempool, and advance the slot by a number of slots.
+ * Mempool txs that aren't valid in the current slot are evicted, along with the txs that depend on them.
+ *
+ * @prop {(params: Partial<NetworkParams>) => void} updateParameters
+ * Simulates a protocol parameter update, which takes effect immediately.
+ * Time remains continuous if `secondsPerSlot` changes.
+ * `refTipSlot` and `refTipTime` are ignored.
+ *
+ * @prop {(filter: EmulatorWatchFilter, listener: (event: EmulatorWatchEvent) => void) => (() => void)} watch
+ * Listens to the UTxOs created and spent by confirmed txs, filtered by address and/or by asset class.
+ * Returns a function that removes the listener again.
+ *
+ * @prop {() => EmulatorJsonSafe} toJsonSafe
+ * Serializes the genesis txs, the blocks, the mempool, the staking state, the slot and the RNG position.
+ * Restore using `parseEmulator()`.
+ */
+
+/**
+ * @typedef {object} EmulatorJsonSafe
+ * EmulatorJsonSafe can be (de)serialized using JSON.parse/JSON.stringify, and can be committed as a test fixture
+ *
+ * @prop {number} seed
+ * @prop {number} nRandomDraws
+ * Number of values drawn from the random number generator initialized with `seed`
+ *
+ * @prop {number} currentSlot
+ * @prop {string[]} genesis
+ * Array of cbor encoded `TxOutput`s, one per genesis tx
+ *
+ * @prop {(number | string)[][]} blocks
+ * Each tx is either an index into `genesis`, or a cbor encoded regular `Tx`
+ *
+ * @prop {{slot: number, time: number}[]} headers
+ * Slot and time (in milliseconds) of each block
+ *
+ * @prop {(number | string)[]} mempool
+ * Same tx format as in `blocks`
+ *
+ * @prop {{[credential: string]: {deposit: string, poolId?: string, rewards: string}}} stakeAccounts
+ * Keyed by hex encoded staking credential, lovelace quantities are encoded as decimal strings
+ *
+ * @prop {{[credential: string]: {deposit: string, poolId?: string, rewards: string}}[]} stakeHistory
+ * Stake accounts before each block (same format as `stakeAccounts`)
+ *
+ * @prop {JsonSafe} params
+ * `NetworkParams` without the reference tip
+ *
+ * @prop {{slot: number, time: number}} timeOrigin
+ * Slot and corresponding time (in milliseconds) from which `Emulator.now` is calculated
  */
 
 /**
@@ -425,6 +589,7 @@ export {
 /**
  * @typedef {object} EmulatorRegularTx
  * @prop {"Regular"} kind
+ * @prop {Tx} tx
  * @prop {() => TxId} id
  * @prop {(utxo: TxInput) => boolean} consumes
  * @prop {(addr: Address, utxos: TxInput[]) => TxInput[]} collectUtxos
@@ -440,6 +605,218 @@ export {
  * @typedef {EmulatorGenesisTx | EmulatorRegularTx} EmulatorTx
  */
 
+/**
+ * @typedef {{
+ *   height: number
+ *   slot: number
+ *   txs: EmulatorTx[]
+ * }} EmulatorBlockEvent
+ * Emitted after a block has been added by `tick()`.
+ * `height` is the index of the block in `Emulator.blocks`.
+ */
+
+/**
+ * @typedef {{
+ *   block: EmulatorBlockEvent
+ *   rollback: EmulatorRollbackEvent
+ *   tx: EmulatorTxEvent
+ *   utxoCreated: EmulatorUtxoEvent
+ *   utxoSpent: EmulatorUtxoEvent
+ * }} EmulatorEvents
+ * Event types emitted by the Emulator, keyed by event name
+ */
+
+/**
+ * @typedef {{
+ *   blocks: EmulatorTx[][]
+ *   resubmitted: boolean
+ * }} EmulatorRollbackEvent
+ * `blocks` are the removed blocks, in their original order.
+ * `resubmitted` is true if their txs were put back into the mempool.
+ */
+
+/**
+ * @typedef {{
+ *   tx: EmulatorTx
+ * }} EmulatorTxEvent
+ * Emitted when a tx enters the mempool (including genesis txs created by `createUtxo()`, `createWallet()` and `createHdWallet()`)
+ */
+
+/**
+ * @typedef {{
+ *   utxo: TxInput
+ *   tx: EmulatorTx
+ * }} EmulatorUtxoEvent
+ * Emitted for each UTxO created or spent by a tx in a new block.
+ * `tx` is the tx that created or spent the UTxO.
+ */
+
+/**
+ * @typedef {{
+ *   address?: Address
+ *   assetClass?: AssetClass
+ * }} EmulatorWatchFilter
+ * UTxOs must match all the specified criteria
+ */
+
+/**
+ * @typedef {{
+ *   kind: "Created" | "Spent"
+ *   utxo: TxInput
+ *   tx: EmulatorTx
+ * }} EmulatorWatchEvent
+ */
+
+/**
+ * @typedef {{
+ *   purpose: "spending" | "minting" | "rewarding" | "certifying"
+ *   index: number
+ *   summary: string
+ *   mem: bigint
+ *   cpu: bigint
+ *   fee: bigint
+ * }} EmulatorRedeemerReport
+ * `index` points into the inputs, minting policies, withdrawals or certificates, depending on the `purpose`.
+ * `fee` is the part of the tx fee paid for the execution units of the redeemer.
+ */
+
+/**
+ * @typedef {{
+ *   id: TxId
+ *   blockHeight: number | undefined
+ *   fee: bigint
+ *   size: number
+ *   refScriptsSize: number
+ *   redeemers: EmulatorRedeemerReport[]
+ *   mem: bigint
+ *   cpu: bigint
+ *   txLimits: {size: number, mem: number, cpu: number}
+ *   blockLimits: {size: number, mem: number, cpu: number}
+ * }} EmulatorTxReport
+ * `blockHeight` is undefined for txs in the mempool.
+ * `size` and `refScriptsSize` are in bytes.
+ * `mem` and `cpu` are the totals of all redeemers.
+ * `txLimits` contains the fractions of `maxTxSize`, `maxTxExMem` and `maxTxExCpu` used.
+ * `blockLimits` contains the fractions of the block limits used
+ * (`maxBlockSize` of the Emulator options, or the mainnet block size limit if not set, and the mainnet block execution-unit limits).
+ */
+
+/**
+ * @typedef {{
+ *   nTxs: number
+ *   fee: bigint
+ *   size: number
+ *   mem: bigint
+ *   cpu: bigint
+ *   maxTxLimits: {size: number, mem: number, cpu: number}
+ *   txs: EmulatorTxReport[]
+ * }} EmulatorReport
+ * Totals across all the reported txs.
+ * `maxTxLimits` contains the largest fractions of the tx limits used by any of the txs.
+ */
+
+/**
+ * @typedef {{
+ *   kind: "EmulatorSnapshot"
+ * }} EmulatorSnapshot
+ * Opaque handle returned by `Emulator.snapshot()`
+ */
+
+/**
+ * @typedef {{
+ *   deposit: bigint
+ *   poolId: PubKeyHash | undefined
+ *   rewards: bigint
+ * }} EmulatorStakeAccount
+ * State of a registered staking credential in the Emulator
+ */
+
+/**
+ * @typedef {{
+ *   strict?: boolean
+ *   params?: Partial<NetworkParams>
+ *   genesisTime?: number
+ *   includeMempool?: boolean
+ *   maxBlockSize?: number
+ *   epochLength?: number
+ * }} EmulatorOptions
+ * If `strict` is true, `submitTx` runs the phase-1 ledger checks (size, fee, value conservation, collateral, min lovelace per output, script data hash),
+ * re-executes all redeemers (phase-2), and checks that all required signatures are present and valid.
+ * In strict mode txs can also spend the outputs of txs in the mempool, otherwise only confirmed UTxOs can be spent (unless `includeMempool` is set).
+ * Defaults to false.
+ *
+ * `params` overrides the default network parameters (e.g. cost models, `maxTxSize`, execution-unit limits, fee coefficients, `collateralPercentage`, `secondsPerSlot`).
+ *
+ * `genesisTime` is the time (in milliseconds since 1970) of slot 0. Defaults to 0.
+ *
+ * If `includeMempool` is true, `getUtxo`, `getUtxos`, `getUtxosWithAssetClass`, `getUtxosWithSpendingCredential`, `getAddressesWithAssetClass` and `hasUtxo` take the mempool into account (pending outputs are visible, pending inputs are hidden),
+ * so that chained txs can be built within a single slot. Defaults to false.
+ *
+ * `maxBlockSize` is the maximum total size (in bytes) of the txs in a block. Txs that don't fit remain in the mempool for the next block.
+ * Defaults to no limit.
+ *
+ * `epochLength` is the number of slots per epoch, used by `currentEpoch` and `advanceToEpoch()`. Defaults to 432000 (mainnet).
+ */
+
+/**
+ * @typedef {object} EmulatorServer
+ * Serves an Emulator over HTTP, using the Blockfrost v0 routes called by `BlockfrostV0Client`:
+ *   - `GET /epochs/latest`
+ *   - `GET /epochs/latest/parameters`
+ *   - `GET /blocks/latest`
+ *   - `GET /addresses/{address}/utxos` and `GET /addresses/{address}/utxos/{unit}`
+ *   - `GET /addresses/{address}/transactions`
+ *   - `GET /txs/{hash}`
+ *   - `GET /txs/{hash}/utxos`
+ *   - `GET /txs/{hash}/cbor`
+ *   - `GET /scripts/{hash}/cbor`
+ *   - `GET /assets/{unit}/addresses`
+ *   - `POST /tx/submit`
+ *
+ * The routes can optionally be prefixed by `/api/v0`. The `project_id` header is ignored.
+ * Pass the `url` returned by `listen()` as the `baseUrl` option of `makeBlockfrostV0Client()` to query the Emulator through the client.
+ *
+ * @prop {Emulator} emulator
+ * @prop {Required<EmulatorServerOptions>} options
+ *
+ * @prop {string | undefined} url
+ * Base url of the API (e.g. `http://127.0.0.1:3000/api/v0`), undefined if the server isn't listening
+ *
+ * @prop {(request: EmulatorServerRequest) => Promise<EmulatorServerResponse>} handle
+ * Handles a single request without going through the HTTP server
+ *
+ * @prop {() => Promise<string>} listen
+ * Starts the HTTP server, and returns the base url of the API
+ *
+ * @prop {() => Promise<void>} close
+ * Stops the HTTP server
+ */
+
+/**
+ * @typedef {{
+ *   hostname?: string
+ *   port?: number
+ * }} EmulatorServerOptions
+ * `hostname` defaults to `127.0.0.1`.
+ * `port` defaults to 3000. Use 0 to pick a random free port.
+ */
+
+/**
+ * @typedef {{
+ *   method: string
+ *   url: string
+ *   body?: number[]
+ * }} EmulatorServerRequest
+ * `url` is the path including the query string (e.g. `/api/v0/addresses/addr_test1.../utxos?page=2`)
+ */
+
+/**
+ * @typedef {{
+ *   status: number
+ *   body: JsonSafe
+ * }} EmulatorServerResponse
+ */
+
 /**
  * @typedef {{
  *   type: "Tx ConwayEra" | "Unwitnessed Tx ConwayEra" | "Witnessed Tx ConwayEra"
@@ -1050,6 +1427,56 @@ export {
  * @prop {(dict?: string[]) => string[]} toPhrase
  */
 
+/**
+ * @typedef {{
+ *   accountIndex?: number
+ *   nAddresses?: number
+ * }} HdWalletOptions
+ * `accountIndex` defaults to 0.
+ * `nAddresses` is the number of spending keys derived from the account, and defaults to 20 (the BIP44 address gap limit).
+ */
+
+/**
+ * A wallet that derives multiple spending addresses from a single account of a RootPrivateKey.
+ * All the addresses share the same staking key.
+ * Requires a Cardano client.
+ * @typedef {object} HdWallet
+ * @prop {CardanoClient} cardanoClient
+ * @prop {Bip32PrivateKey[]} spendingPrivateKeys
+ * @prop {PubKey[]} spendingPubKeys
+ * @prop {PubKey} stakingPubKey
+ *
+ * @prop {ShelleyAddress<PubKeyHash>[]} addresses
+ * All the derived addresses, in derivation order
+ *
+ * @prop {Promise<TxInput<PubKeyHash>[]>} collateral
+ * Don't define any collateral, let the TxBuilder use the regular inputs
+ *
+ * @prop {StakingAddress} stakingAddress
+ * @prop {Promise<StakingAddress[]>} stakingAddresses
+ * @prop {PubKeyHash} stakingPubKeyHash
+ *
+ * @prop {Promise<ShelleyAddress<PubKeyHash>[]>} usedAddresses
+ * Addresses that hold UTxOs or that appear in the tx history (if the CardanoClient implements `getAddressTxs()`)
+ *
+ * @prop {Promise<ShelleyAddress<PubKeyHash>[]>} unusedAddresses
+ * The remaining addresses, in derivation order
+ *
+ * @prop {Promise<TxInput<PubKeyHash>[]>} utxos
+ * The UTxOs at all the addresses
+ *
+ * @prop {() => Promise<boolean>} isMainnet
+ *
+ * @prop {(addr: ShelleyAddress<PubKeyHash>, data: BytesLike) => Promise<{signature: Cip30CoseSign1, key: PubKey}>} signData
+ * This method has the same interface as the Cip30Wallet.signData() method, using either the matching spendingCredential pubKey or the stakingCredential pubKey depending on which address is given.
+ *
+ * @prop {(tx: Tx) => Promise<Signature[]>} signTx
+ * Signs with every spending key that controls one of the tx inputs or collateral inputs, or that is listed as a signer.
+ * Also signs with the staking key if the tx lists it as a signer, or if it withdraws from or certifies the staking credential.
+ *
+ * @prop {(tx: Tx) => Promise<TxId>} submitTx
+ */
+
 /**
  * This wallet only has a single private/public key, which isn't rotated. Staking is not yet supported.
  * Requires a Cardano client.
@@ -1081,6 +1508,7 @@ export {
  *
  * @prop {(tx: Tx) => Promise<Signature[]>} signTx
  * Simply assumes the tx needs to by signed by this wallet without checking.
+ * Also signs with the staking key if the tx lists it as a signer, or if it withdraws from or certifies the staking credential.
  *
  * @prop {(tx: Tx) => Promise<TxId>} submitTx
  */
@@ -1096,13 +1524,48 @@ export {
  * @typedef {(txInfo: TxInfo, purpose: string, index: number, fee: Cost) => Cost} ExBudgetModifier
  */
 
+/**
+ * @typedef {{
+ *   purpose: "spending" | "minting" | "rewarding" | "certifying"
+ *   index: number
+ *   scriptHash: number[]
+ *   mem: bigint
+ *   cpu: bigint
+ *   fee: bigint
+ *   usedAlt: boolean
+ *   txLimits: {mem: number, cpu: number}
+ * }} TxRedeemerProfile
+ * `index` points into the inputs, minting policies, withdrawals or certificates, depending on the `purpose`.
+ * `mem` and `cpu` are the execution budget included in the tx (i.e. after applying `modifyExBudget`).
+ * `fee` is the part of the tx fee paid for the execution units of the redeemer.
+ * `usedAlt` is true if the optimized script failed and the unoptimized (alt) script was evaluated to get diagnostics.
+ * `txLimits` contains the fractions of `maxTxExMem` and `maxTxExCpu` used.
+ */
+
+/**
+ * @typedef {{
+ *   fee: bigint
+ *   size: number
+ *   mem: bigint
+ *   cpu: bigint
+ *   redeemers: TxRedeemerProfile[]
+ *   txLimits: {size: number, mem: number, cpu: number}
+ * }} TxProfile
+ * `size` is in bytes.
+ * `mem` and `cpu` are the totals of all redeemers.
+ * `txLimits` contains the fractions of `maxTxSize`, `maxTxExMem` and `maxTxExCpu` used.
+ */
+
 /**
  * @typedef {object} TxBuilderFinalConfig
  * @prop {ShelleyAddressLike | Promise<ShelleyAddressLike>} changeAddress
  * @prop {TxInput[] | Promise<TxInput[]>} [spareUtxos]
  * @prop {NetworkParams | Promise<NetworkParams>} [networkParams]
  * @prop {number} [maxAssetsPerChangeOutput]
- * Defaults to the largest number of assets in one of the inputs
+ * Defaults to the largest number of assets in one of the inputs, or to no limit if `changeStrategy.maxChangeOutputSize` is set
+ *
+ * @prop {TxChangeStrategy} [changeStrategy]
+ * Optional settings for how the change is divided over the change outputs
  *
  * @prop {boolean} [allowDirtyChangeOutput]
  * Defaults to false, ensuring the change output created during lovelace balancing doesn't contain assets
@@ -1113,9 +1576,16 @@ export {
  *   - one containing only lovelace
  *   - another containing the assets that were selected during balancing, and some lovelace as a deposit
  *
+ * @prop {boolean} [balanceAssetsWithSpareUtxos]
+ * Defaults to false. If `true` -> spare UTxOs are added as inputs if the outputs (or burns) require assets that aren't in the inputs.
+ * The UTxOs are picked using `coinSelection`, or with the largest quantities of the missing assets first if `coinSelection` isn't set.
+ *
  * @prop {UplcLogger} [logOptions]
  * @prop {boolean} [throwBuildPhaseScriptErrors]
  * @prop {(tx: Tx) => (any | Promise<any>)} [beforeValidate]
+ * @prop {(profile: TxProfile) => void} [onProfile]
+ * Called with the execution budget profile of the final tx, before validation
+ *
  * @prop {ExBudgetModifier} [modifyExBudget]
  * Increasing the execution budget of the redeemers to compensate for budget calculation errors made by the uplc library, or network parameter inconsistencies
  *
@@ -1123,6 +1593,20 @@ export {
  * Optional babel fee settings, using additional UTxOs containing pure lovelace to balance a transaction and pay for fees and min-deposit.
  * The primary tx building agent pays the difference using another asset class at a predetermined price.
  *
+ * @prop {CoinSelection} [coinSelection]
+ * Optional strategy for picking the spare UTxOs that cover the missing lovelace and assets during balancing (e.g. `selectSmallestFirst()` to clean up dust).
+ * Can also be called more than once per build.
+ * By default the spare UTxOs with the fewest assets are picked first.
+ *
+ * @prop {CoinSelection} [collateralSelection]
+ * Optional strategy for picking the collateral among the pure lovelace pubkey inputs and spare UTxOs.
+ * Ignored if collateral was added manually, or if the network parameters specify a default collateral UTxO.
+ * By default the smallest UTxOs are picked first.
+ *
+ * @prop {TxFeePayer} [feePayer]
+ * Optional party other than the change address that pays the fee, can't be combined with `babelFeeAgent`.
+ * By default the fee is deducted from the change output created during lovelace balancing.
+ *
  * @prop {TxBodyEncodingConfig} [bodyEncodingConfig]
  * Optional encoding config for TxBody
  *
@@ -1137,6 +1621,48 @@ export {
  * If the explicit changeOutput wasn't previously added, it is added as a regular output.
  */
 
+/**
+ * @typedef {object} TxChangeStrategy
+ * @prop {boolean} [groupByPolicy]
+ * Keep the change tokens of the same minting policy in the same change output.
+ * A policy that doesn't fit in a single change output is still split over multiple change outputs.
+ *
+ * @prop {number} [maxChangeOutputSize]
+ * Max serialized size (in bytes) of each asset change output, in addition to the `maxAssetsPerChangeOutput` limit
+ *
+ * @prop {number} [lovelaceSplit]
+ * Split the lovelace change into this number of outputs containing the same amount of lovelace (e.g. to keep collateral-sized UTxOs around).
+ * The first of these outputs also receives the rounding remainder.
+ * Fewer outputs are created if the change doesn't cover the min deposit of each output.
+ * Ignored if `changeOutput`, `feePayer` or `babelFeeAgent` is set.
+ *
+ * @prop {[AssetClass, ShelleyAddressLike][]} [assetAddresses]
+ * Send the change of specific asset classes to other addresses than `changeAddress`
+ */
+
+/**
+ * @typedef {{
+ *   utxos: TxInput[] | Promise<TxInput[]>
+ *   address: ShelleyAddressLike
+ * } | {
+ *   output: TxOutput
+ * }} TxFeePayer
+ * Either UTxOs (e.g. of a sponsor) that pay the fee and provide the collateral, with the remainder returned to `address`,
+ * or one of the outputs of the tx from which the fee is deducted (e.g. to send the whole balance of a wallet).
+ * In both cases the rest of the tx is balanced without a fee, and a change output is only created if the inputs don't exactly cover the outputs.
+ */
+
+/**
+ * @typedef {TxBuilderConfig & Omit<TxBuilderFinalConfig, "changeOutput" | "babelFeeAgent" | "feePayer"> & {
+ *   apply?: (builder: TxBuilder, outputs: TxOutput[]) => (any | Promise<any>)
+ *   maxOutputsPerTx?: number
+ * }} TxBatchConfig
+ * Config for `buildTxBatch()`.
+ * `spareUtxos` fund the first tx, and are used for balancing the subsequent txs if the change of the previous tx isn't sufficient.
+ * `apply` is called for every tx being built, with the outputs included in that tx (e.g. to mint the tokens that are being paid out).
+ * `maxOutputsPerTx` defaults to no limit besides the size and execution budget limits of the network parameters.
+ */
+
 /**
  * @typedef {object} BabelFeeAgentOptions
  * @prop {Address} address
@@ -1194,6 +1720,11 @@ export {
  * @prop {() => TxBuilder} reset
  * @prop {(utxo: TxInput | TxInput[]) => TxBuilder} addCollateral
  * @prop {(dcert: DCert) => TxBuilder} addDCert
+ * Only the Shelley-era certificate kinds of `@helios-lang/ledger` can be added (stake registration, deregistration and delegation, pool registration and retirement).
+ * Conway governance (DRep and committee certificates, vote delegation, voting procedures, proposal procedures and treasury donations) isn't supported:
+ * `@helios-lang/ledger` (up to v0.8.3) doesn't implement these certificates, nor the governance fields of the tx body.
+ * Governance builder methods are declined until the ledger supports them (tracked as backlog request user-016).
+ *
  * @prop {(
  *   ...output: TxOutput[]
  * ) => TxBuilder} addOutput
@@ -1318,6 +1849,43 @@ export {
  * Include a reference input
  *
  * @prop {(
+ *   hash: PubKeyHash | StakingValidatorHash<any>
+ * ) => TxBuilder} registerWithoutRedeemer
+ * Registration certificates aren't witnessed, so script credentials can also be registered without a redeemer.
+ * The stake address deposit is taken into account when balancing the tx.
+ *
+ * @prop {(
+ *   hash: PubKeyHash | StakingValidatorHash<any>,
+ *   redeemer?: UplcData | LazyRedeemerData | undefined
+ * ) => TxBuilder} registerUnsafe
+ * Throws an error if a redeemer is given, because registration certificates aren't witnessed.
+ *
+ * There is no `registerWithRedeemer()`: only Conway-era registration certificates (which include the deposit) can be witnessed by a staking script,
+ * and `@helios-lang/ledger` only implements the Shelley-era `RegistrationDCert`, for which a certifying redeemer would make the tx invalid.
+ *
+ * @prop {(
+ *   hash: PubKeyHash,
+ *   poolId: PubKeyHashLike
+ * ) => TxBuilder} registerAndDelegateWithoutRedeemer
+ * Adds two separate Shelley-era certificates, a `RegistrationDCert` followed by a `DelegationDCert` (the combined Conway-era certificate isn't implemented by `@helios-lang/ledger`).
+ *
+ * @prop {<TRedeemer>(
+ *   hash: StakingValidatorHash<StakingContext<any, TRedeemer>>,
+ *   poolId: PubKeyHashLike,
+ *   redeemer: TRedeemer
+ * ) => TxBuilder} registerAndDelegateWithRedeemer
+ * Adds two separate Shelley-era certificates, a `RegistrationDCert` followed by a `DelegationDCert` (the combined Conway-era certificate isn't implemented by `@helios-lang/ledger`).
+ * The redeemer is used to witness the delegation.
+ *
+ * @prop {(
+ *   hash: PubKeyHash | StakingValidatorHash<any>,
+ *   poolId: PubKeyHashLike,
+ *   redeemer?: UplcData | LazyRedeemerData | undefined
+ * ) => TxBuilder} registerAndDelegateUnsafe
+ * Adds two separate Shelley-era certificates, a `RegistrationDCert` followed by a `DelegationDCert` (the combined Conway-era certificate isn't implemented by `@helios-lang/ledger`).
+ * The redeemer is used to witness the delegation.
+ *
+ * @prop {(
  *   key: number,
  *   value: TxMetadataAttr
  * ) => TxBuilder} setMetadataAttribute
@@ -1382,6 +1950,74 @@ export {
  * @prop {() => Value} sumOutputValue
  * @prop {() => Assets} sumOutputAssets
  * Excludes lovelace
+ *
+ * @prop {() => TxBuilderJsonSafe} toJsonSafe
+ * Serializes the current state, so that the tx can be completed elsewhere.
+ * Lazy redeemers can't be serialized, and async functions passed to `apply()` must have been awaited.
+ * Restore using `restoreTxBuilder()`.
+ */
+
+/**
+ * @typedef {object} TxBuilderJsonSafe
+ * TxBuilderJsonSafe can be (de)serialized using JSON.parse/JSON.stringify, and allows passing a partially constructed tx between services
+ *
+ * @prop {boolean} isMainnet
+ * @prop {string[]} inputs
+ * Array of cbor encoded `TxInput`s, including the resolved outputs
+ *
+ * @prop {string[]} refInputs
+ * Same format as `inputs`, the reference scripts are recovered from these
+ *
+ * @prop {string[]} collateral
+ * Same format as `inputs`
+ *
+ * @prop {string[]} outputs
+ * Array of cbor encoded `TxOutput`s
+ *
+ * @prop {string} minted
+ * Cbor encoded `Assets`
+ *
+ * @prop {string[]} datums
+ * Array of cbor encoded `UplcData`
+ *
+ * @prop {string[]} signers
+ * Array of hex encoded `PubKeyHash`es
+ *
+ * @prop {{[key: string]: string}} metadata
+ * Cbor encoded `TxMetadataAttr`s keyed by the metadata tag
+ *
+ * @prop {[string, string][]} withdrawals
+ * Bech32 encoded `StakingAddress` and lovelace quantity encoded as a decimal string
+ *
+ * @prop {string[]} dcerts
+ * Array of cbor encoded `DCert`s
+ *
+ * @prop {[string, string][]} spendingRedeemers
+ * `TxOutputId` of the spent input and cbor encoded redeemer data
+ *
+ * @prop {[string, string][]} mintingRedeemers
+ * Hex encoded `MintingPolicyHash` and cbor encoded redeemer data
+ *
+ * @prop {[string, string][]} rewardingRedeemers
+ * Bech32 encoded `StakingAddress` and cbor encoded redeemer data
+ *
+ * @prop {[number, string][]} certifyingRedeemers
+ * Index into `dcerts` and cbor encoded redeemer data
+ *
+ * @prop {string[]} nativeScripts
+ * Array of cbor encoded `NativeScript`s
+ *
+ * @prop {string[]} scripts
+ * Hashes of the attached `UplcProgram`s, the programs themselves must be passed to `restoreTxBuilder()`
+ *
+ * @prop {{slot: number} | {timestamp: number}} [validFrom]
+ * @prop {{slot: number} | {timestamp: number}} [validTo]
+ *
+ * @prop {boolean} [addedCollateral]
+ * Set if the `collateral` was added by a previous `build()`, instead of explicitly using `addCollateral()`
+ *
+ * @prop {string} [collateralReturn]
+ * Cbor encoded `TxOutput` returning the excess collateral, created by a previous `build()`
  */
 
 /**
@@ -1557,3 +2193,34 @@ export {
  * }} WebSocketConstructor
  * Interface for the builtin NodeJS and builtin Browser WebSocket classes
  */
+
+/**
+ * @typedef {{
+ *   method?: string
+ *   url?: string
+ *   [Symbol.asyncIterator](): AsyncIterator<Uint8Array>
+ * }} HttpRequestI
+ * Interface for the NodeJS `http.IncomingMessage`
+ */
+
+/**
+ * @typedef {{
+ *   writeHead(status: number, headers: Record<string, string>): void
+ *   end(body: string): void
+ * }} HttpResponseI
+ * Interface for the NodeJS `http.ServerResponse`
+ */
+
+/**
+ * @typedef {{
+ *   listen(port: number, hostname: string, callback: () => void): void
+ *   close(callback: (err?: Error) => void): void
+ *   address(): {port: number} | string | null
+ * }} HttpServerI
+ * Interface for the NodeJS `http.Server`
+ */
+
+/**
+ * @typedef {(listener: (req: HttpRequestI, res: HttpResponseI) => void) => HttpServerI} HttpCreateServer
+ * Interface for the NodeJS `http.createServer` function
+ */
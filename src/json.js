@@ -0,0 +1,22 @@
+import { isValidHex } from "@helios-lang/codec-utils"
+import { isValidTxOutputCbor } from "@helios-lang/ledger"
+
+/**
+ * Validators shared by the JsonSafe formats of the Emulator and the TxBuilder
+ */
+
+/**
+ * @param {string} s
+ * @returns {boolean}
+ */
+export function isValidBigIntString(s) {
+    return /^[0-9]+$/.test(s)
+}
+
+/**
+ * @param {string} s
+ * @returns {boolean}
+ */
+export function isValidTxOutputHex(s) {
+    return isValidHex(s) && isValidTxOutputCbor(s)
+}
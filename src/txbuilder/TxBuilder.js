@@ -6,6 +6,14 @@ import {
     calcRefScriptsSize,
     calcScriptDataHash,
     compareStakingAddresses,
+    decodeAssets,
+    decodeDCert,
+    decodeNativeScript,
+    decodeTxInput,
+    decodeTxMetadataAttr,
+    decodeTxOutput,
+    encodeTxMetadataAttr,
+    hashDatum,
     hashNativeScript,
     makeAddress,
     makeAssets,
@@ -14,6 +22,8 @@ import {
     makeDelegationDCert,
     makeDeregistrationDCert,
     makeDummyTxId,
+    makeHashedTxOutputDatum,
+    makeRegistrationDCert,
     makeMintingPolicyHash,
     makeMintingPurpose,
     makeNetworkParamsHelper,
@@ -32,24 +42,43 @@ import {
     makeTxWitnesses,
     makeValue,
     toTime,
-    makePubKeyHash
+    makePubKeyHash,
+    parseStakingAddress
 } from "@helios-lang/ledger"
 import {
+    JSON,
     expectDefined,
     isLeft,
     isRight,
     isUndefined
 } from "@helios-lang/type-utils"
-import { makeUplcDataValue, UplcRuntimeError } from "@helios-lang/uplc"
+import {
+    decodeUplcData,
+    makeUplcDataValue,
+    UplcRuntimeError
+} from "@helios-lang/uplc"
+import { selectLargestFirst } from "../coinselection/index.js"
+import { InsufficientFundsError } from "../coinselection/InsufficientFundsError.js"
+import {
+    calcExLimitFractions,
+    calcTxLimitFractions,
+    getRedeemerPurpose
+} from "./profiling.js"
+import { isTxBuilderJsonSafe } from "./TxBuilderJsonSafe.js"
 
 /**
  * @import { BytesLike, IntLike } from "@helios-lang/codec-utils"
  * @import { Address, AssetClass, AssetClassLike, Assets, DatumPaymentContext, DCert, MintingContext, MintingPolicyHash, MintingPolicyHashLike, NativeScript, NetworkParams, NetworkParamsHelper, PubKeyHash, PubKeyHashLike, ShelleyAddress, ShelleyAddressLike, SpendingContext, StakingAddress, StakingAddressLike, StakingCredential, StakingContext, StakingValidatorHash, TimeLike, TokenValue, Tx, TxBody, TxInfo, TxInput, TxMetadata, TxMetadataAttr, TxOutput, TxOutputDatum, TxOutputDatumCastable, TxRedeemer, ValidatorHash, Value, ValueLike } from "@helios-lang/ledger"
- * @import { Either } from "@helios-lang/type-utils"
+ * @import { Either, JsonSafe } from "@helios-lang/type-utils"
  * @import { CekResult, Cost, UplcLogger, UplcData, UplcProgram, UplcProgramV1, UplcProgramV2, UplcProgramV3 } from "@helios-lang/uplc"
- * @import { BabelFeeAgentOptions, ExBudgetModifier, LazyRedeemerData, TxBuilder, TxBuilderConfig, TxBuilderFinalConfig } from "../index.js"
+ * @import { BabelFeeAgentOptions, CoinSelection, ExBudgetModifier, LazyRedeemerData, TxBuilder, TxBuilderConfig, TxBuilderFinalConfig, TxBuilderJsonSafe, TxChangeStrategy, TxFeePayer, TxProfile, TxRedeemerProfile } from "../index.js"
  */
 
+/**
+ * Max number of times the fee is recalculated (along with the redeemers) at the end of `buildUnsafe()` before only fee increases are accepted
+ */
+const MAX_FEE_REFINEMENT_PASSES = 5
+
 /**
  * @typedef {Object} RedeemerExecContext
  * @prop {bigint} fee
@@ -73,6 +102,25 @@ export function makeTxBuilder(config) {
     return new TxBuilderImpl(config)
 }
 
+/**
+ * Restores a TxBuilder from the format returned by `TxBuilder.toJsonSafe()`.
+ * Only the hashes of the attached UplcPrograms are serialized, so the programs themselves must be passed in again via `scripts`.
+ * Reference scripts are recovered from the reference inputs.
+ * Throws an error if the input doesn't have the correct format, or if one of the scripts is missing.
+ * @param {string | JsonSafe} json
+ * @param {UplcProgram[]} scripts
+ * @returns {TxBuilder}
+ */
+export function restoreTxBuilder(json, scripts = []) {
+    if (typeof json == "string") {
+        return restoreTxBuilder(JSON.parse(json), scripts)
+    } else if (isTxBuilderJsonSafe(json)) {
+        return TxBuilderImpl.fromJsonSafe(json, scripts)
+    } else {
+        throw new Error("invalid format")
+    }
+}
+
 /**
  * @implements {TxBuilder}
  */
@@ -235,6 +283,13 @@ class TxBuilderImpl {
      */
     pending
 
+    /**
+     * The scripts evaluated during the last call to buildRedeemers(), keyed by purpose and index
+     * @private
+     * @type {Record<string, {scriptHash: number[], usedAlt: boolean}>}
+     */
+    scriptEvaluations
+
     /**
      * @param {TxBuilderConfig} config
      */
@@ -243,6 +298,116 @@ class TxBuilderImpl {
         this.reset()
     }
 
+    /**
+     * Used by restoreTxBuilder(), the fields are set directly because the checks done by the regular methods have already passed when the state was serialized
+     * @param {TxBuilderJsonSafe} json
+     * @param {UplcProgram[]} scripts
+     * @returns {TxBuilderImpl}
+     */
+    static fromJsonSafe(json, scripts) {
+        const builder = new TxBuilderImpl({ isMainnet: json.isMainnet })
+
+        // also adds the reference scripts
+        builder.refer(...json.refInputs.map((cbor) => decodeTxInput(cbor)))
+
+        json.scripts.forEach((hash) => {
+            const script = scripts.find((s) => bytesToHex(s.hash()) == hash)
+
+            if (!script) {
+                throw new Error(
+                    `script ${hash} not found (hint: pass it to restoreTxBuilder())`
+                )
+            }
+
+            builder.attachUplcProgram(script)
+        })
+
+        json.nativeScripts.forEach((cbor) =>
+            builder.attachNativeScript(decodeNativeScript(cbor))
+        )
+
+        builder.datums = json.datums.map((cbor) => decodeUplcData(cbor))
+
+        /**
+         * The data of a HashedTxOutputDatum isn't part of the cbor encoding, so it is looked up in the witness datums
+         * @param {string} cbor
+         * @returns {TxInput}
+         */
+        const decodeInput = (cbor) => {
+            const input = decodeTxInput(cbor)
+            const datum = input.output.datum
+
+            if (datum?.kind == "HashedTxOutputDatum" && !datum.data) {
+                const data = builder.datums.find((d) =>
+                    hashDatum(d).isEqual(datum.hash)
+                )
+
+                if (data) {
+                    input.output.datum = makeHashedTxOutputDatum(data)
+                }
+            }
+
+            return input
+        }
+
+        builder._inputs = json.inputs.map(decodeInput)
+        builder.collateral = json.collateral.map(decodeInput)
+        builder.addedCollatoral = json.addedCollateral ?? false
+        builder.collateralReturn = json.collateralReturn
+            ? decodeTxOutput(json.collateralReturn)
+            : undefined
+        builder._outputs = json.outputs.map((cbor) => decodeTxOutput(cbor))
+        builder._mintedTokens = decodeAssets(json.minted)
+        builder._signers = json.signers.map((h) => makePubKeyHash(h))
+        builder.dcerts = json.dcerts.map((cbor) => decodeDCert(cbor))
+        builder.withdrawals = json.withdrawals.map(([addr, lovelace]) => [
+            parseStakingAddress(addr),
+            BigInt(lovelace)
+        ])
+
+        Object.entries(json.metadata).forEach(([key, cbor]) => {
+            builder.metadata[Number(key)] = decodeTxMetadataAttr(cbor)
+        })
+
+        builder.spendingRedeemers = json.spendingRedeemers.map(([id, cbor]) => [
+            expectDefined(
+                builder._inputs.find((input) => input.id.toString() == id),
+                `spent input ${id} not found`
+            ),
+            decodeUplcData(cbor)
+        ])
+
+        builder.mintingRedeemers = json.mintingRedeemers.map(([mph, cbor]) => [
+            makeMintingPolicyHash(mph),
+            decodeUplcData(cbor)
+        ])
+
+        builder.rewardingRedeemers = json.rewardingRedeemers.map(
+            ([addr, cbor]) => [parseStakingAddress(addr), decodeUplcData(cbor)]
+        )
+
+        builder.certifyingRedeemers = json.certifyingRedeemers.map(
+            ([i, cbor]) => [
+                expectDefined(builder.dcerts[i], `dcert ${i} not found`),
+                decodeUplcData(cbor)
+            ]
+        )
+
+        builder.validFrom = json.validFrom
+            ? "slot" in json.validFrom
+                ? { left: { slot: json.validFrom.slot } }
+                : { right: { timestamp: json.validFrom.timestamp } }
+            : undefined
+
+        builder.validTo = json.validTo
+            ? "slot" in json.validTo
+                ? { left: { slot: json.validTo.slot } }
+                : { right: { timestamp: json.validTo.timestamp } }
+            : undefined
+
+        return builder
+    }
+
     /**
      * @type {TxInput[]}
      */
@@ -352,6 +517,20 @@ class TxBuilderImpl {
                 : (config.spareUtxos ?? [])
         ).filter((utxo) => !this._inputs.some((input) => input.isEqual(utxo)))
         const babelFeeAgent = config.babelFeeAgent
+        const feePayer = config.feePayer
+
+        if (babelFeeAgent && feePayer) {
+            throw new Error("babelFeeAgent and feePayer can't be combined")
+        }
+
+        // the fee payer UTxOs are used for the fee and the collateral
+        const feePayerUtxos =
+            feePayer && "utxos" in feePayer
+                ? (await feePayer.utxos).filter(
+                      (utxo) =>
+                          !this._inputs.some((input) => input.isEqual(utxo))
+                  )
+                : undefined
 
         // await the remaining pending applications
         for (let p of this.pending) {
@@ -365,9 +544,14 @@ class TxBuilderImpl {
 
         // TODO: there is no check here to assure that there aren't any redundant scripts included, this is left up the validation of Tx itself
 
+        const changeStrategy = config.changeStrategy ?? {}
+
         // balance the non-ada assets, adding necessary change outputs
         let maxAssetsPerChangeOutput = config.maxAssetsPerChangeOutput
-        if (!maxAssetsPerChangeOutput) {
+        if (!maxAssetsPerChangeOutput && changeStrategy.maxChangeOutputSize) {
+            // only limited by size
+            maxAssetsPerChangeOutput = 0
+        } else if (!maxAssetsPerChangeOutput) {
             maxAssetsPerChangeOutput = this._inputs
                 .concat(spareUtxos)
                 .reduce(
@@ -377,10 +561,16 @@ class TxBuilderImpl {
                 )
         }
 
+        if (config.balanceAssetsWithSpareUtxos) {
+            this.addSpareAssetInputs(spareUtxos, config.coinSelection)
+        }
+
         // these assetChangeOutputs are used to balance babel fees
         let assetChangeOutputs = this.balanceAssets(
+            params,
             changeAddress,
-            maxAssetsPerChangeOutput
+            maxAssetsPerChangeOutput,
+            changeStrategy
         )
 
         // in the rare case that no asset change outputs are created, look for all UTxOs at the change address
@@ -407,9 +597,16 @@ class TxBuilderImpl {
         //  changeAddress and spareUtxos are ignored if params.collateralUTXO is set
         const collateralChangeOutput = this.balanceCollateral(
             params,
-            babelFeeAgent ? babelFeeAgent.address : changeAddress,
-            babelFeeAgent ? babelFeeAgent.utxos.slice() : spareUtxos.slice(),
-            fee
+            babelFeeAgent
+                ? babelFeeAgent.address
+                : feePayer && "utxos" in feePayer
+                  ? makeAddress(feePayer.address)
+                  : changeAddress,
+            babelFeeAgent
+                ? babelFeeAgent.utxos.slice()
+                : (feePayerUtxos ?? spareUtxos).slice(),
+            fee,
+            config.collateralSelection
         )
 
         // make sure that each output contains the necessary minimum amount of lovelace
@@ -420,15 +617,45 @@ class TxBuilderImpl {
         const allowDirtySpareInputs =
             config.allowDirtySpareInputs ?? allowDirtyChangeOutput
 
-        const changeOutput = this.balanceLovelace(
-            params,
-            babelFeeAgent ? babelFeeAgent.address : changeAddress,
-            babelFeeAgent ? babelFeeAgent.utxos.slice() : spareUtxos.slice(),
-            fee,
-            allowDirtyChangeOutput,
-            allowDirtySpareInputs,
-            config.changeOutput
-        )
+        // the fee is deducted from this output, which is corrected once the final fee is known
+        const changeOutput = feePayer
+            ? this.balanceLovelaceWithFeePayer(
+                  params,
+                  feePayer,
+                  feePayerUtxos ?? [],
+                  changeAddress,
+                  spareUtxos.slice(),
+                  fee,
+                  allowDirtyChangeOutput,
+                  allowDirtySpareInputs,
+                  config.changeOutput,
+                  config.coinSelection
+              )
+            : this.balanceLovelace(
+                  params,
+                  babelFeeAgent ? babelFeeAgent.address : changeAddress,
+                  babelFeeAgent
+                      ? babelFeeAgent.utxos.slice()
+                      : spareUtxos.slice(),
+                  fee,
+                  allowDirtyChangeOutput,
+                  allowDirtySpareInputs,
+                  config.changeOutput,
+                  config.coinSelection
+              )
+
+        // the refunded part of the fee is divided equally over these outputs
+        const lovelaceChangeOutputs =
+            changeStrategy.lovelaceSplit &&
+            !feePayer &&
+            !babelFeeAgent &&
+            !config.changeOutput
+                ? this.splitLovelaceChange(
+                      params,
+                      changeOutput,
+                      changeStrategy.lovelaceSplit
+                  )
+                : [changeOutput]
 
         // returns 0n if babelFeeAgent is undefined
         let babelFeeTokens = this.balanceBabelFee(
@@ -441,9 +668,10 @@ class TxBuilderImpl {
 
         await this.grabRefScriptsFromRegistry()
 
-        // the final fee will never be higher than the current `fee`, so the inputs and outputs won't change, and we will get redeemers with the right indices
-        // the scripts executed at this point will not see the correct txHash nor the correct fee
-        const redeemers = await this.buildRedeemers({
+        /**
+         * @type {RedeemerExecContext}
+         */
+        const execContext = {
             networkParams: params,
             fee,
             firstValidSlot,
@@ -451,70 +679,66 @@ class TxBuilderImpl {
             throwBuildPhaseScriptErrors,
             logOptions: config.logOptions, // NOTE: has an internal default null-logger
             modifyExBudget: config.modifyExBudget
-        })
-
-        const scriptDataHash = this.buildScriptDataHash(params, redeemers)
+        }
 
-        // TODO: correct the fee and the changeOutput
+        // the final fee will never be higher than the current `fee`, so the inputs and outputs won't change, and we will get redeemers with the right indices
+        // the scripts executed at this point will not see the correct txHash nor the correct fee
+        let redeemers = await this.buildRedeemers(execContext)
 
-        const tx = makeTx(
-            makeTxBody({
-                encodingConfig: config.bodyEncodingConfig,
-                inputs: this._inputs,
-                outputs: this._outputs,
-                refInputs: this._refInputs,
-                collateral: this.collateral,
-                collateralReturn: this.collateralReturn,
-                minted: this._mintedTokens,
-                withdrawals: this.withdrawals,
-                fee,
-                firstValidSlot,
-                lastValidSlot,
-                signers: this._signers,
-                dcerts: this.dcerts,
-                metadataHash,
-                scriptDataHash
-            }),
-            makeTxWitnesses({
-                encodingConfig: config.witnessesEncodingConfig,
-                signatures: [],
-                datums: this.datums,
-                redeemers,
-                nativeScripts: this.nativeScripts,
-                v1Scripts: this.v1Scripts,
-                v2Scripts: this.v2Scripts,
-                v2RefScripts: this.v2RefScripts,
-                v3Scripts: this.v3Scripts,
-                v3RefScripts: this.v3RefScripts
-            }),
-            true,
-            metadata
-        )
+        /**
+         * @param {bigint} fee
+         * @param {TxRedeemer[]} redeemers
+         * @returns {Tx}
+         */
+        const makeFinalTx = (fee, redeemers) =>
+            makeTx(
+                makeTxBody({
+                    encodingConfig: config.bodyEncodingConfig,
+                    inputs: this._inputs,
+                    outputs: this._outputs,
+                    refInputs: this._refInputs,
+                    collateral: this.collateral,
+                    collateralReturn: this.collateralReturn,
+                    minted: this._mintedTokens,
+                    withdrawals: this.withdrawals,
+                    fee,
+                    firstValidSlot,
+                    lastValidSlot,
+                    signers: this._signers,
+                    dcerts: this.dcerts,
+                    metadataHash,
+                    scriptDataHash: this.buildScriptDataHash(params, redeemers)
+                }),
+                makeTxWitnesses({
+                    encodingConfig: config.witnessesEncodingConfig,
+                    signatures: [],
+                    datums: this.datums,
+                    redeemers,
+                    nativeScripts: this.nativeScripts,
+                    v1Scripts: this.v1Scripts,
+                    v2Scripts: this.v2Scripts,
+                    v2RefScripts: this.v2RefScripts,
+                    v3Scripts: this.v3Scripts,
+                    v3RefScripts: this.v3RefScripts
+                }),
+                true,
+                metadata
+            )
 
-        // calculate the min fee
-        const finalFee = tx.calcMinFee(params)
-        const feeDiff = fee - finalFee
+        let tx = makeFinalTx(fee, redeemers)
 
-        if (feeDiff < 0n) {
+        if (tx.calcMinFee(params) > fee) {
             throw new Error(
                 "internal error: expected finalFee to be smaller than maxTxFee"
             )
         }
 
-        tx.body.fee = finalFee
-        changeOutput.value.lovelace += feeDiff // return part of the fee by adding
-
-        //
-        let iter = 0
-        while (true) {
-            if (iter >= 5) {
-                throw new Error(
-                    "failed to converge during babel (and collateral) fee correction"
-                )
-            }
-
+        // refine the fee, the change, the collateral and the babel fee until the fee is exactly the min fee
+        // the redeemers are re-evaluated each pass, so that the scripts (and lazy redeemers) see the refined fee and change, which in turn can change the execution budgets and thus the fee
+        // if the fee still oscillates after MAX_FEE_REFINEMENT_PASSES, only increases are accepted, so the tx might end up paying slightly more than the min fee
+        for (let pass = 0; ; pass++) {
+            // the collateral is always refined with the fee of the current tx, so it matches the final fee when the loop exits
             if (collateralChangeOutput) {
-                // console.log(" -- recomputing collateral")
                 const minCollateral = tx.calcMinCollateral(params)
 
                 const collateralInput = /** @type {Value} */ (
@@ -536,16 +760,35 @@ class TxBuilderImpl {
             }
 
             const finalFee = tx.calcMinFee(params)
-            if (finalFee > tx.body.fee) {
-                // only keep correcting if more fee is needed
-                const feeDiff = finalFee - tx.body.fee
-                tx.body.fee = finalFee
-                changeOutput.value.lovelace -= feeDiff // subtract fee from changeOutput
-            } else {
+
+            if (
+                finalFee == tx.body.fee ||
+                (pass >= MAX_FEE_REFINEMENT_PASSES && finalFee < tx.body.fee)
+            ) {
                 break
+            } else if (pass >= 2 * MAX_FEE_REFINEMENT_PASSES) {
+                throw new Error(
+                    "failed to converge during fee (and collateral) refinement"
+                )
             }
 
-            iter += 1
+            changeOutput.value.lovelace += tx.body.fee - finalFee // return part of the fee by adding, or take more fee by subtracting
+            divideLovelace(lovelaceChangeOutputs)
+
+            if (redeemers.length > 0) {
+                redeemers = await this.buildRedeemers({
+                    ...execContext,
+                    fee: finalFee
+                })
+
+                tx = makeFinalTx(finalFee, redeemers)
+            } else {
+                tx.body.fee = finalFee
+            }
+        }
+
+        if (config.onProfile) {
+            config.onProfile(this.buildProfile(tx, params))
         }
 
         if (config.beforeValidate) {
@@ -582,6 +825,7 @@ class TxBuilderImpl {
         this.rewardingRedeemers = []
         this.certifyingRedeemers = []
         this.pending = []
+        this.scriptEvaluations = {}
 
         return this
     }
@@ -1070,6 +1314,73 @@ class TxBuilderImpl {
         return this
     }
 
+    /**
+     * Registration certificates aren't witnessed, so script credentials can also be registered without a redeemer.
+     * The stake address deposit is taken into account when balancing the tx.
+     * @param {StakingCredential} hash
+     * @returns {TxBuilder}
+     */
+    registerWithoutRedeemer(hash) {
+        return this.registerUnsafe(hash)
+    }
+
+    /**
+     * Throws an error if a redeemer is given, because registration certificates aren't witnessed.
+     * @param {StakingCredential} hash
+     * @param {UplcData | LazyRedeemerData | undefined} redeemer
+     * @returns {TxBuilder}
+     */
+    registerUnsafe(hash, redeemer = undefined) {
+        if (redeemer) {
+            throw new Error(
+                "redeemer not allowed when registering a staking credential (hint: use TxBuilder.registerWithoutRedeemer())"
+            )
+        }
+
+        return this.addDCert(makeRegistrationDCert(hash))
+    }
+
+    /**
+     * Adds two separate Shelley-era certificates, a `RegistrationDCert` followed by a `DelegationDCert` (the combined Conway-era certificate isn't implemented by `@helios-lang/ledger`).
+     * @param {PubKeyHash} hash
+     * @param {PubKeyHashLike} poolId
+     * @returns {TxBuilder}
+     */
+    registerAndDelegateWithoutRedeemer(hash, poolId) {
+        return this.registerAndDelegateUnsafe(hash, poolId)
+    }
+
+    /**
+     * Adds two separate Shelley-era certificates, a `RegistrationDCert` followed by a `DelegationDCert` (the combined Conway-era certificate isn't implemented by `@helios-lang/ledger`).
+     * The redeemer is used to witness the delegation.
+     * @template TRedeemer
+     * @param {StakingValidatorHash<StakingContext<any, TRedeemer>>} hash
+     * @param {PubKeyHashLike} poolId
+     * @param {TRedeemer} redeemer
+     * @returns {TxBuilder}
+     */
+    registerAndDelegateWithRedeemer(hash, poolId, redeemer) {
+        this.attachUplcProgram(hash.context.program)
+
+        const redeemerData = hash.context.redeemer.toUplcData(redeemer)
+
+        return this.registerAndDelegateUnsafe(hash, poolId, redeemerData)
+    }
+
+    /**
+     * Adds two separate Shelley-era certificates, a `RegistrationDCert` followed by a `DelegationDCert` (the combined Conway-era certificate isn't implemented by `@helios-lang/ledger`).
+     * The redeemer is used to witness the delegation.
+     * @param {StakingCredential} hash
+     * @param {PubKeyHashLike} poolId
+     * @param {UplcData | LazyRedeemerData | undefined} redeemer
+     * @returns {TxBuilder}
+     */
+    registerAndDelegateUnsafe(hash, poolId, redeemer = undefined) {
+        this.registerUnsafe(hash)
+
+        return this.delegateUnsafe(hash, poolId, redeemer)
+    }
+
     /**
      * @param {number} key
      * @param {TxMetadataAttr} value
@@ -1237,6 +1548,113 @@ class TxBuilderImpl {
         return this
     }
 
+    /**
+     * Throws an error if any of the redeemers is lazy, or if functions passed to `apply()` are still pending
+     * @returns {TxBuilderJsonSafe}
+     */
+    toJsonSafe() {
+        if (this.pending.length > 0) {
+            throw new Error(
+                "can't serialize TxBuilder with pending apply() functions (hint: await the functions before passing them to apply())"
+            )
+        }
+
+        /**
+         * @param {UplcData | LazyRedeemerData} redeemer
+         * @returns {string}
+         */
+        const encodeRedeemer = (redeemer) => {
+            if (typeof redeemer == "function") {
+                throw new Error("lazy redeemers can't be serialized")
+            }
+
+            return bytesToHex(redeemer.toCbor())
+        }
+
+        /**
+         * @param {Either<{slot: number}, {timestamp: number}> | undefined} validity
+         * @returns {{slot: number} | {timestamp: number} | undefined}
+         */
+        const encodeValidity = (validity) => {
+            if (!validity) {
+                return undefined
+            } else if (isLeft(validity)) {
+                return { slot: validity.left.slot }
+            } else {
+                return { timestamp: validity.right.timestamp }
+            }
+        }
+
+        /**
+         * @type {{[key: string]: string}}
+         */
+        const metadata = {}
+
+        Object.entries(this.metadata).forEach(([key, attr]) => {
+            metadata[key] = bytesToHex(encodeTxMetadataAttr(attr))
+        })
+
+        const validFrom = encodeValidity(this.validFrom)
+        const validTo = encodeValidity(this.validTo)
+
+        return {
+            isMainnet: this.config.isMainnet,
+            inputs: this._inputs.map((u) => bytesToHex(u.toCbor(true))),
+            refInputs: this._refInputs.map((u) => bytesToHex(u.toCbor(true))),
+            collateral: this.collateral.map((u) => bytesToHex(u.toCbor(true))),
+            outputs: this._outputs.map((o) => bytesToHex(o.toCbor())),
+            minted: bytesToHex(this._mintedTokens.toCbor()),
+            datums: this.datums.map((d) => bytesToHex(d.toCbor())),
+            signers: this._signers.map((s) => s.toHex()),
+            metadata: metadata,
+            withdrawals: this.withdrawals.map(([addr, lovelace]) => [
+                addr.toBech32(),
+                lovelace.toString()
+            ]),
+            dcerts: this.dcerts.map((dcert) => bytesToHex(dcert.toCbor())),
+            spendingRedeemers: this.spendingRedeemers.map(
+                ([utxo, redeemer]) => [
+                    utxo.id.toString(),
+                    encodeRedeemer(redeemer)
+                ]
+            ),
+            mintingRedeemers: this.mintingRedeemers.map(([mph, redeemer]) => [
+                mph.toHex(),
+                encodeRedeemer(redeemer)
+            ]),
+            rewardingRedeemers: this.rewardingRedeemers.map(
+                ([addr, redeemer]) => [
+                    addr.toBech32(),
+                    encodeRedeemer(redeemer)
+                ]
+            ),
+            certifyingRedeemers: this.certifyingRedeemers.map(
+                ([dcert, redeemer]) => [
+                    this.dcerts.indexOf(dcert),
+                    encodeRedeemer(redeemer)
+                ]
+            ),
+            nativeScripts: this.nativeScripts.map((s) =>
+                bytesToHex(s.toCbor())
+            ),
+            scripts: [
+                ...this.v1Scripts,
+                ...this.v2Scripts,
+                ...this.v3Scripts
+            ].map((s) => bytesToHex(s.hash())),
+            ...(validFrom ? { validFrom } : {}),
+            ...(validTo ? { validTo } : {}),
+            ...(this.addedCollatoral ? { addedCollateral: true } : {}),
+            ...(this.collateralReturn
+                ? {
+                      collateralReturn: bytesToHex(
+                          this.collateralReturn.toCbor()
+                      )
+                  }
+                : {})
+        }
+    }
+
     /**
      * Set the start of the valid time range by specifying a slot.
      * @param {IntLike} slot
@@ -1346,6 +1764,10 @@ class TxBuilderImpl {
             this.addRewardingRedeemer(stakingAddress, redeemer)
         }
 
+        if (stakingAddress.stakingCredential.kind == "PubKeyHash") {
+            this.addSigners(stakingAddress.stakingCredential)
+        }
+
         if (i == -1) {
             this.withdrawals.push(entry)
         } else {
@@ -1756,12 +2178,55 @@ class TxBuilderImpl {
      */
 
     /**
+     * Adds spare UTxOs containing the assets that are needed by the outputs (or burned), but that aren't in the inputs.
+     * Any surplus assets of the added UTxOs are returned by balanceAssets()
      * @private
+     * @param {TxInput[]} spareUtxos
+     * @param {CoinSelection | undefined} coinSelection
+     * Defaults to selecting the UTxOs containing the largest quantities of the missing assets first
+     */
+    addSpareAssetInputs(spareUtxos, coinSelection) {
+        // the minted tokens are added separately because sumInputAndMintedAssets() throws if more is burned than is input
+        const inputValue = makeValue(
+            0n,
+            this.sumInputValue().assets.add(this._mintedTokens)
+        )
+
+        const deficit = calcValueDeficit(
+            makeValue(0n, this.sumOutputAssets()),
+            inputValue
+        )
+
+        if (deficit.assets.isZero()) {
+            return
+        }
+
+        const [selected] = (coinSelection ?? selectLargestFirst())(
+            spareUtxos.filter(
+                (utxo) => !this._inputs.some((input) => input.isEqual(utxo))
+            ),
+            deficit
+        )
+
+        selected.forEach((utxo) => this.addInput(utxo))
+    }
+
+    /**
+     * @private
+     * @param {NetworkParams} params
      * @param {ShelleyAddress} changeAddress
      * @param {number} maxAssetsPerChangeOutput
-     * @returns {TxOutput[]}
+     * Not limited if <= 0
+     *
+     * @param {TxChangeStrategy} changeStrategy
+     * @returns {TxOutput[]} - the change outputs sent to `changeAddress`
      */
-    balanceAssets(changeAddress, maxAssetsPerChangeOutput) {
+    balanceAssets(
+        params,
+        changeAddress,
+        maxAssetsPerChangeOutput,
+        changeStrategy = {}
+    ) {
         if (changeAddress.spendingCredential.kind == "ValidatorHash") {
             throw new Error("can't send change to validator")
         }
@@ -1774,66 +2239,201 @@ class TxBuilderImpl {
             return []
         } else if (outputAssets.isGreaterThan(inputAssets)) {
             throw new Error("not enough input assets")
-        } else {
-            const diff = inputAssets.subtract(outputAssets)
-
-            /**
-             * Collect the change outputs so they can be used for balancing of babel fees
-             * @type {TxOutput[]}
-             */
-            let changeOutputs = []
-
-            if (maxAssetsPerChangeOutput > 0) {
-                const maxAssetsPerOutput = maxAssetsPerChangeOutput
-
-                let changeAssets = makeAssets()
-                let tokensAdded = 0
-
-                diff.getPolicies().forEach((mph) => {
-                    const tokens = diff.getPolicyTokens(mph)
-                    tokens.forEach(([token, quantity], i) => {
-                        changeAssets.addPolicyTokenQuantity(
-                            mph,
-                            token,
-                            quantity
-                        )
-                        tokensAdded += 1
-                        if (tokensAdded == maxAssetsPerOutput) {
-                            const output = makeTxOutput(
-                                changeAddress,
-                                makeValue(0n, changeAssets)
-                            )
-
-                            changeOutputs.push(output)
-
-                            this.addOutput(output)
-                            changeAssets = makeAssets()
-                            tokensAdded = 0
-                        }
-                    })
-                })
+        }
 
-                // If we are here and have No assets, then we're done
-                if (!changeAssets.isZero()) {
-                    const output = makeTxOutput(
-                        changeAddress,
-                        makeValue(0n, changeAssets)
-                    )
+        /**
+         * The change of specific asset classes can be sent to other addresses
+         * @type {[ShelleyAddress, Assets][]}
+         */
+        const changePerAddress = [
+            [changeAddress, inputAssets.subtract(outputAssets)]
+        ]
 
-                    changeOutputs.push(output)
+        changeStrategy.assetAddresses?.forEach(([assetClass, addr]) => {
+            const address = makeAddress(addr)
 
-                    this.addOutput(output)
-                }
+            if (address.spendingCredential.kind == "ValidatorHash") {
+                throw new Error("can't send change to validator")
+            }
+
+            const qty = changePerAddress[0][1].getAssetClassQuantity(assetClass)
+
+            // asset classes without any change don't need an output at the other address
+            if (qty == 0n) {
+                return
+            }
+
+            const assets = makeAssets([[assetClass, qty]])
+
+            changePerAddress[0][1] = changePerAddress[0][1].subtract(assets)
+
+            const entry = changePerAddress.find(([a]) => a.isEqual(address))
+
+            if (entry) {
+                entry[1] = entry[1].add(assets)
             } else {
-                const output = makeTxOutput(changeAddress, makeValue(0n, diff))
+                changePerAddress.push([address, assets])
+            }
+        })
 
-                changeOutputs.push(output)
+        /**
+         * Collect the change outputs so they can be used for balancing of babel fees
+         * @type {TxOutput[]}
+         */
+        const changeOutputs = []
+
+        changePerAddress.forEach(([address, assets]) => {
+            this.bundleChangeAssets(
+                params,
+                address,
+                assets,
+                maxAssetsPerChangeOutput,
+                changeStrategy
+            ).forEach((bundle) => {
+                const output = makeTxOutput(address, makeValue(0n, bundle))
+
+                if (address.isEqual(changeAddress)) {
+                    changeOutputs.push(output)
+                }
 
                 this.addOutput(output)
+            })
+        })
+
+        return changeOutputs
+    }
+
+    /**
+     * Divides the change assets over as few outputs as possible, while respecting the limits of the change strategy.
+     * A single token that exceeds `changeStrategy.maxChangeOutputSize` by itself is still put in its own output.
+     * @private
+     * @param {NetworkParams} params
+     * @param {ShelleyAddress} address
+     * @param {Assets} assets
+     * @param {number} maxAssetsPerChangeOutput
+     * Not limited if <= 0
+     *
+     * @param {TxChangeStrategy} changeStrategy
+     * @returns {Assets[]}
+     */
+    bundleChangeAssets(
+        params,
+        address,
+        assets,
+        maxAssetsPerChangeOutput,
+        changeStrategy
+    ) {
+        const maxSize = changeStrategy.maxChangeOutputSize
+
+        /**
+         * @param {Assets} bundle
+         * @returns {boolean}
+         */
+        const fits = (bundle) => {
+            if (
+                maxAssetsPerChangeOutput > 0 &&
+                bundle.countTokens() > maxAssetsPerChangeOutput
+            ) {
+                return false
+            }
+
+            if (maxSize) {
+                const output = makeTxOutput(address, makeValue(0n, bundle))
+                output.correctLovelace(params)
+
+                return output.toCbor().length <= maxSize
             }
 
-            return changeOutputs
+            return true
+        }
+
+        /**
+         * @type {Assets[]}
+         */
+        const bundles = []
+        let current = makeAssets()
+
+        /**
+         * @param {Assets} token
+         */
+        const addToken = (token) => {
+            if (current.isZero() || fits(current.add(token))) {
+                current = current.add(token)
+            } else {
+                bundles.push(current)
+                current = token
+            }
+        }
+
+        assets.getPolicies().forEach((mph) => {
+            const tokens = assets
+                .getPolicyTokens(mph)
+                .map(([tokenName, qty]) =>
+                    makeAssets([[mph, [[tokenName, qty]]]])
+                )
+
+            if (!changeStrategy.groupByPolicy) {
+                tokens.forEach(addToken)
+                return
+            }
+
+            const policy = makeAssets([[mph, assets.getPolicyTokens(mph)]])
+
+            if (fits(current.add(policy))) {
+                current = current.add(policy)
+            } else {
+                if (!current.isZero()) {
+                    bundles.push(current)
+                    current = makeAssets()
+                }
+
+                // a policy that doesn't fit in a single output is split over multiple outputs
+                tokens.forEach(addToken)
+            }
+        })
+
+        if (!current.isZero()) {
+            bundles.push(current)
+        }
+
+        return bundles
+    }
+
+    /**
+     * Moves lovelace from the change output into additional outputs, so that there are `n` outputs containing the same amount of lovelace.
+     * Fewer outputs are created if the change doesn't cover the min deposit of each output.
+     * @private
+     * @param {NetworkParams} params
+     * @param {TxOutput} changeOutput
+     * @param {number} n
+     * @returns {TxOutput[]} - the original change output followed by the additional outputs
+     */
+    splitLovelaceChange(params, changeOutput, n) {
+        const pureOutput = makeTxOutput(changeOutput.address, makeValue(0n))
+        pureOutput.correctLovelace(params)
+
+        const changeDeposit = changeOutput.calcDeposit(params)
+        const minShare =
+            changeDeposit > pureOutput.value.lovelace
+                ? changeDeposit
+                : pureOutput.value.lovelace
+
+        while (n > 1 && changeOutput.value.lovelace / BigInt(n) < minShare) {
+            n -= 1
+        }
+
+        const outputs = [changeOutput]
+
+        for (let i = 1; i < n; i++) {
+            const output = makeTxOutput(changeOutput.address, makeValue(0n))
+
+            this.addOutput(output)
+            outputs.push(output)
         }
+
+        divideLovelace(outputs)
+
+        return outputs
     }
 
     /**
@@ -1842,9 +2442,18 @@ class TxBuilderImpl {
      * @param {Address} changeAddress
      * @param {TxInput[]} spareUtxos
      * @param {bigint} baseFee
+     * @param {CoinSelection | undefined} collateralSelection
+     * Picks the collateral from the clean pubkey inputs and spare UTxOs, instead of picking the smallest ones first
+     *
      * @returns {TxOutput | undefined} - collateral change output which can be corrected later
      */
-    balanceCollateral(params, changeAddress, spareUtxos, baseFee) {
+    balanceCollateral(
+        params,
+        changeAddress,
+        spareUtxos,
+        baseFee,
+        collateralSelection = undefined
+    ) {
         // if we previously added collateral, use it
         if (this.addedCollatoral) {
             return this.collateralReturn
@@ -1873,19 +2482,22 @@ class TxBuilderImpl {
          */
         const collateralInputs = []
 
+        /**
+         * @param {TxInput} utxo
+         * @returns {boolean}
+         */
+        const isValidCollateral = (utxo) =>
+            (utxo.address.era == "Byron" ||
+                utxo.address.spendingCredential.kind != "ValidatorHash") &&
+            utxo.value.assets.isZero()
+
         /**
          * @param {TxInput[]} inputs
          */
         function addCollateralInputs(inputs) {
             // first try using the UTxOs that already form the inputs, but are locked at script
             const cleanInputs = inputs
-                .filter(
-                    (utxo) =>
-                        (utxo.address.era == "Byron" ||
-                            utxo.address.spendingCredential.kind !=
-                                "ValidatorHash") &&
-                        utxo.value.assets.isZero()
-                )
+                .filter(isValidCollateral)
                 .sort((a, b) => Number(a.value.lovelace - b.value.lovelace))
 
             for (let input of cleanInputs) {
@@ -1902,8 +2514,37 @@ class TxBuilderImpl {
             }
         }
 
-        addCollateralInputs(this._inputs.slice())
-        addCollateralInputs(spareUtxos.map((utxo) => utxo))
+        if (collateralSelection) {
+            const candidates = this._inputs
+                .concat(
+                    spareUtxos.filter(
+                        (utxo) =>
+                            !this._inputs.some((input) => input.isEqual(utxo))
+                    )
+                )
+                .filter(isValidCollateral)
+
+            const [selected] = selectCoins(
+                collateralSelection,
+                candidates,
+                makeValue(minCollateral),
+                () => new Error("unable to find enough collateral input")
+            )
+
+            if (selected.length > params.maxCollateralInputs) {
+                throw new Error(
+                    `collateralSelection selected ${selected.length} UTxOs, but at most ${params.maxCollateralInputs} collateral inputs are allowed`
+                )
+            }
+
+            selected.forEach((utxo) => {
+                collateralInputs.push(utxo)
+                collateral += utxo.value.lovelace
+            })
+        } else {
+            addCollateralInputs(this._inputs.slice())
+            addCollateralInputs(spareUtxos.map((utxo) => utxo))
+        }
 
         // create the collateral return output if there is enough lovelace
         const changeOutput = makeTxOutput(changeAddress, makeValue(0n))
@@ -1965,6 +2606,9 @@ class TxBuilderImpl {
      *   - `allowDirtySpreInputs == true and `allowDirtyChangeOutput == false` gradually cleans up a wallet
      *
      * @param {TxOutput | undefined} [explicitChangeOutput]
+     * @param {CoinSelection | undefined} [coinSelection]
+     * Picks the spare UTxOs needed to cover the missing lovelace and assets, instead of picking the UTxOs with the fewest assets first
+     *
      * @returns {TxOutput} - change output, will be corrected once the final fee is known
      */
     balanceLovelace(
@@ -1974,7 +2618,8 @@ class TxBuilderImpl {
         fee,
         allowDirtyChangeOutput,
         allowDirtySpareInputs,
-        explicitChangeOutput = undefined
+        explicitChangeOutput = undefined,
+        coinSelection = undefined
     ) {
         // don't include the changeOutput in this value
         let nonChangeOutputValue = this.sumOutputValue()
@@ -2008,20 +2653,11 @@ class TxBuilderImpl {
 
         nonChangeOutputValue = feeValue.add(nonChangeOutputValue)
 
-        const helper = makeNetworkParamsHelper(params)
-
-        // stake certificates
-        const stakeAddrDeposit = makeValue(helper.stakeAddressDeposit)
-        this.dcerts.forEach((dcert) => {
-            if (dcert.kind == "RegistrationDCert") {
-                // in case of stake registrations, count stake key deposits as additional output ADA
-                nonChangeOutputValue =
-                    nonChangeOutputValue.add(stakeAddrDeposit)
-            } else if (dcert.kind == "DeregistrationDCert") {
-                // in case of stake de-registrations, count stake key deposits as additional input ADA
-                inputValue = inputValue.add(stakeAddrDeposit)
-            }
-        })
+        // in case of stake registrations, count stake key deposits as additional output ADA
+        // in case of stake de-registrations, count stake key deposits as additional input ADA
+        const { deposits, refunds } = this.calcStakeDeposits(params)
+        nonChangeOutputValue = nonChangeOutputValue.add(makeValue(deposits))
+        inputValue = inputValue.add(makeValue(refunds))
 
         const spareAssetUTxOs = spareUtxos.some(
             (utxo) => !utxo.value.assets.isZero()
@@ -2043,8 +2679,46 @@ class TxBuilderImpl {
                 a.value.assets.assets.length - b.value.assets.assets.length
         )
 
+        if (coinSelection) {
+            spareUtxos = spareUtxos.filter(
+                (utxo) => !this._inputs.some((input) => input.isEqual(utxo))
+            )
+        }
+
+        // the same diagnostic is used if the spare UTxOs run out, or if the coinSelection fails
+        const makeInsufficientFundsError = () =>
+            !allowDirtySpareInputs && spareAssetUTxOs
+                ? new Error(
+                      `UTxOs too fragmented (hint: set allowDirtySpareInputs==true to allow balancing with dirty UTXOs)`
+                  )
+                : new Error(
+                      `need ${totalOutputValue.lovelace} lovelace, but only have ${inputValue.lovelace}`
+                  )
+
         // if allowDirtyChange==true, a spare input might be added with non-lovelace assets
         while (!inputValue.isGreaterOrEqual(totalOutputValue)) {
+            if (coinSelection) {
+                const [selected, remaining] = selectCoins(
+                    coinSelection,
+                    spareUtxos,
+                    calcValueDeficit(totalOutputValue, inputValue),
+                    makeInsufficientFundsError
+                )
+
+                if (selected.length == 0) {
+                    throw makeInsufficientFundsError()
+                }
+
+                selected.forEach((utxo) => {
+                    this.addInput(utxo)
+                    inputValue = inputValue.add(utxo.value)
+                })
+
+                spareUtxos = remaining
+
+                continue
+            }
+
             const spare = spareUtxos.pop()
 
             if (spare) {
@@ -2058,15 +2732,7 @@ class TxBuilderImpl {
                     inputValue = inputValue.add(spare.value)
                 }
             } else {
-                if (!allowDirtySpareInputs && spareAssetUTxOs) {
-                    throw new Error(
-                        `UTxOs too fragmented (hint: set allowDirtySpareInputs==true to allow balancing with dirty UTXOs)`
-                    )
-                } else {
-                    throw new Error(
-                        `need ${totalOutputValue.lovelace} lovelace, but only have ${inputValue.lovelace}`
-                    )
-                }
+                throw makeInsufficientFundsError()
             }
         }
 
@@ -2106,27 +2772,42 @@ class TxBuilderImpl {
                 changeOutput.calcDeposit(params) > changeOutput.value.lovelace
             ) {
                 // try one last time to balance
-                const spare = spareUtxos
-                    .filter((utxo) => utxo.value.assets.isZero())
-                    .pop()
+                const cleanSpareUtxos = spareUtxos.filter((utxo) =>
+                    utxo.value.assets.isZero()
+                )
 
-                if (!spare) {
-                    throw new Error(
+                const makeCleanChangeError = () =>
+                    new Error(
                         "Unable to balance transaction, not enough spare lovelace to create two change outputs to have at least one clean change output"
                     )
+
+                const spares = coinSelection
+                    ? selectCoins(
+                          coinSelection,
+                          cleanSpareUtxos,
+                          makeValue(
+                              changeOutput.calcDeposit(params) -
+                                  changeOutput.value.lovelace
+                          ),
+                          makeCleanChangeError
+                      )[0]
+                    : cleanSpareUtxos.slice(-1)
+
+                if (spares.length == 0) {
+                    throw makeCleanChangeError()
                 }
 
-                this.addInput(spare)
+                spares.forEach((spare) => {
+                    this.addInput(spare)
 
-                changeOutput.value = changeOutput.value.add(spare.value)
+                    changeOutput.value = changeOutput.value.add(spare.value)
+                })
 
                 if (
                     changeOutput.calcDeposit(params) >
                     changeOutput.value.lovelace
                 ) {
-                    throw new Error(
-                        "Unable to balance transaction, not enough spare lovelace to create two change outputs to have at least one clean change output"
-                    )
+                    throw makeCleanChangeError()
                 }
             }
 
@@ -2136,6 +2817,126 @@ class TxBuilderImpl {
         return changeOutput
     }
 
+    /**
+     * Balances everything except the fee using `spareUtxos`, then lets the `feePayer` pay the fee.
+     * A change output is only created for the first step if the inputs don't exactly cover the outputs.
+     * @private
+     * @param {NetworkParams} params
+     * @param {TxFeePayer} feePayer
+     * @param {TxInput[]} feePayerUtxos
+     * @param {Address} changeAddress
+     * @param {TxInput[]} spareUtxos
+     * @param {bigint} fee
+     * @param {boolean} allowDirtyChangeOutput
+     * @param {boolean} allowDirtySpareInputs
+     * @param {TxOutput | undefined} explicitChangeOutput
+     * @param {CoinSelection | undefined} coinSelection
+     * @returns {TxOutput} - the output from which the fee is deducted, will be corrected once the final fee is known
+     */
+    balanceLovelaceWithFeePayer(
+        params,
+        feePayer,
+        feePayerUtxos,
+        changeAddress,
+        spareUtxos,
+        fee,
+        allowDirtyChangeOutput,
+        allowDirtySpareInputs,
+        explicitChangeOutput,
+        coinSelection
+    ) {
+        if (explicitChangeOutput || this.calcLovelaceSurplus(params) != 0n) {
+            this.balanceLovelace(
+                params,
+                changeAddress,
+                spareUtxos,
+                0n,
+                allowDirtyChangeOutput,
+                allowDirtySpareInputs,
+                explicitChangeOutput,
+                coinSelection
+            )
+        }
+
+        if ("output" in feePayer) {
+            const i = this._outputs.indexOf(feePayer.output)
+
+            if (i == -1) {
+                throw new Error(
+                    "feePayer.output isn't an output of the tx (hint: add it using addOutput() first)"
+                )
+            }
+
+            // the caller's output isn't mutated, the tx gets a copy from which the fee is deducted
+            const output = feePayer.output.copy()
+            output.value.lovelace -= fee
+
+            // the final fee is never higher than the max fee, so this is sufficient
+            const minLovelace = output.calcDeposit(params)
+            if (output.value.lovelace < minLovelace) {
+                throw new Error(
+                    `feePayer.output doesn't contain enough lovelace to pay the fee, need at least ${fee + minLovelace} lovelace, but only has ${feePayer.output.value.lovelace}`
+                )
+            }
+
+            this._outputs[i] = output
+
+            return output
+        } else {
+            // the remaining fee payer UTxOs are returned to the fee payer
+            return this.balanceLovelace(
+                params,
+                makeAddress(feePayer.address),
+                feePayerUtxos,
+                fee,
+                allowDirtyChangeOutput,
+                allowDirtySpareInputs,
+                undefined,
+                coinSelection
+            )
+        }
+    }
+
+    /**
+     * Lovelace available for the change and the fee, taking into account stake address deposits
+     * @private
+     * @param {NetworkParams} params
+     * @returns {bigint}
+     */
+    calcLovelaceSurplus(params) {
+        const { deposits, refunds } = this.calcStakeDeposits(params)
+
+        return (
+            this.sumInputAndMintedValue().lovelace -
+            this.sumOutputValue().lovelace -
+            deposits +
+            refunds
+        )
+    }
+
+    /**
+     * Stake address deposits locked by the registration certificates, and refunded by the deregistration certificates
+     * @private
+     * @param {NetworkParams} params
+     * @returns {{deposits: bigint, refunds: bigint}}
+     */
+    calcStakeDeposits(params) {
+        const deposit = makeNetworkParamsHelper(params).stakeAddressDeposit
+
+        return this.dcerts.reduce(
+            (prev, dcert) => {
+                if (dcert.kind == "RegistrationDCert") {
+                    return { ...prev, deposits: prev.deposits + deposit }
+                } else if (dcert.kind == "DeregistrationDCert") {
+                    return { ...prev, refunds: prev.refunds + deposit }
+                } else {
+                    return prev
+                }
+            },
+            { deposits: 0n, refunds: 0n }
+        )
+    }
+
     /**
      * @private
      * @returns {{
@@ -2157,12 +2958,14 @@ class TxBuilderImpl {
     /**
      * Redeemers are returned sorted: first the minting redeemers then the spending redeemers
      * (I'm not sure if the sorting is actually necessary)
-     * TODO: return profiling information?
+     * The evaluated scripts are recorded in `scriptEvaluations`, for profiling
      * @private
      * @param {RedeemerExecContext} execContext
      * @returns {Promise<TxRedeemer[]>}
      */
     async buildRedeemers(execContext) {
+        this.scriptEvaluations = {}
+
         const dummyRedeemers = (await this.buildMintingRedeemers())
             .concat(await this.buildSpendingRedeemers())
             .concat(await this.buildRewardingRedeemers())
@@ -2323,6 +3126,8 @@ class TxBuilderImpl {
 
                     const profile = this.buildRedeemerProfile(script, {
                         summary: `mint @${i}`,
+                        purpose: "minting",
+                        index: i,
                         args: [
                             redeemerData,
                             makeScriptContextV2(
@@ -2406,6 +3211,8 @@ class TxBuilderImpl {
 
                     const profile = this.buildRedeemerProfile(script, {
                         summary: `input @${i}`,
+                        purpose: "spending",
+                        index: i,
                         args: [
                             datum,
                             redeemerData,
@@ -2484,6 +3291,8 @@ class TxBuilderImpl {
                         const redeemerData = r instanceof Promise ? await r : r
                         const profile = this.buildRedeemerProfile(script, {
                             summary: `rewards @${i}`,
+                            purpose: "rewarding",
+                            index: i,
                             args: [
                                 redeemerData,
                                 makeScriptContextV2(
@@ -2570,6 +3379,8 @@ class TxBuilderImpl {
                     const redeemerData = r instanceof Promise ? await r : r
                     const profile = this.buildRedeemerProfile(script, {
                         summary: `dcert ${dcert.kind} @${i}`,
+                        purpose: "certifying",
+                        index: i,
                         args: [
                             redeemerData,
                             makeScriptContextV2(
@@ -2602,11 +3413,16 @@ class TxBuilderImpl {
      * @param {UplcProgram} script
      * @param {Object} options
      * @param {string} options.summary
+     * @param {TxRedeemerProfile["purpose"]} options.purpose
+     * @param {number} options.index
      * @param {UplcData[]} options.args
      * @param {RedeemerBuildContext} options.buildContext
      * @returns {CekResult}
      */
-    buildRedeemerProfile(script, { args, summary, buildContext }) {
+    buildRedeemerProfile(
+        script,
+        { args, summary, purpose, index, buildContext }
+    ) {
         const throwBuildPhaseScriptErrors =
             buildContext.throwBuildPhaseScriptErrors ?? true
 
@@ -2614,6 +3430,11 @@ class TxBuilderImpl {
 
         const argsData = args.map((a) => makeUplcDataValue(a))
         const profile = script.eval(argsData, { logOptions })
+
+        this.scriptEvaluations[`${purpose} @${index}`] = {
+            scriptHash: script.hash(),
+            usedAlt: isLeft(profile.result) && !!script.alt
+        }
         // XXX if the script fails, we signal the logger to emit the diagnostics.
         // if the script runs correctly, logging will arrive during transaction validation instead.
         if (isLeft(profile.result)) {
@@ -2678,6 +3499,50 @@ class TxBuilderImpl {
         return profile
     }
 
+    /**
+     * @private
+     * @param {Tx} tx
+     * @param {NetworkParams} params
+     * @returns {TxProfile}
+     */
+    buildProfile(tx, params) {
+        const redeemers = tx.witnesses.redeemers.map((redeemer) => {
+            const { purpose, index } = getRedeemerPurpose(redeemer)
+            const evaluation = expectDefined(
+                this.scriptEvaluations[`${purpose} @${index}`],
+                `script for ${purpose} redeemer @${index} not evaluated`
+            )
+
+            return {
+                purpose,
+                index,
+                scriptHash: evaluation.scriptHash,
+                mem: redeemer.cost.mem,
+                cpu: redeemer.cost.cpu,
+                fee: redeemer.calcExFee(params),
+                usedAlt: evaluation.usedAlt,
+                txLimits: calcExLimitFractions(
+                    params,
+                    redeemer.cost.mem,
+                    redeemer.cost.cpu
+                )
+            }
+        })
+
+        const size = tx.toCbor().length
+        const mem = redeemers.reduce((prev, r) => prev + r.mem, 0n)
+        const cpu = redeemers.reduce((prev, r) => prev + r.cpu, 0n)
+
+        return {
+            fee: tx.body.fee,
+            size,
+            mem,
+            cpu,
+            redeemers,
+            txLimits: calcTxLimitFractions(params, size, mem, cpu)
+        }
+    }
+
     /**
      * @private
      * @param {NetworkParams} params
@@ -3009,6 +3874,68 @@ class TxBuilderImpl {
     }
 }
 
+/**
+ * Divides the total lovelace in `outputs` equally, the first output receives the remainder of the division
+ * @param {TxOutput[]} outputs
+ */
+function divideLovelace(outputs) {
+    const total = outputs.reduce(
+        (prev, output) => prev + output.value.lovelace,
+        0n
+    )
+    const share = total / BigInt(outputs.length)
+
+    outputs.forEach((output, i) => {
+        output.value.lovelace =
+            i == 0 ? total - share * BigInt(outputs.length - 1) : share
+    })
+}
+
+/**
+ * Calls a CoinSelection function, replacing its InsufficientFundsError by the balancing diagnostic created by `makeError`
+ * @param {CoinSelection} coinSelection
+ * @param {TxInput[]} utxos
+ * @param {Value} amount
+ * @param {() => Error} makeError
+ * @returns {[TxInput[], TxInput[]]}
+ */
+function selectCoins(coinSelection, utxos, amount, makeError) {
+    try {
+        return coinSelection(utxos, amount)
+    } catch (e) {
+        if (e instanceof InsufficientFundsError) {
+            throw makeError()
+        }
+
+        throw e
+    }
+}
+
+/**
+ * The positive part of `need - have`, used as the amount passed to a CoinSelection function
+ * @param {Value} need
+ * @param {Value} have
+ * @returns {Value}
+ */
+function calcValueDeficit(need, have) {
+    const diff = need.subtract(have)
+
+    return makeValue(
+        diff.lovelace > 0n ? diff.lovelace : 0n,
+        makeAssets(
+            diff.assets.assetClasses
+                .map(
+                    (ac) =>
+                        /** @type {[AssetClass, bigint]} */ ([
+                            ac,
+                            diff.assets.getAssetClassQuantity(ac)
+                        ])
+                )
+                .filter(([_, qty]) => qty > 0n)
+        )
+    )
+}
+
 /**
  * @template TRedeemer
  * @param {TxInput<ValidatorHash<SpendingContext<any, any, any, TRedeemer>>>} utxo
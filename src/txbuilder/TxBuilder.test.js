@@ -1,7 +1,37 @@
 import { describe, it } from "node:test"
-import { strictEqual } from "node:assert"
-import { decodeTx, makeTxInput, makeTxOutput } from "@helios-lang/ledger"
-import { makeTxBuilder } from "./TxBuilder.js"
+import { rejects, strictEqual, throws } from "node:assert"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import {
+    DEFAULT_NETWORK_PARAMS,
+    decodeTx,
+    makeAddress,
+    makeAssetClass,
+    makeAssets,
+    makeMintingPolicyHash,
+    makePubKeyHash,
+    makeTxInput,
+    makeTxOutput,
+    makeValue
+} from "@helios-lang/ledger"
+import {
+    makeIntData,
+    makeUplcConst,
+    makeUplcLambda,
+    makeUplcProgramV2,
+    UNIT_VALUE
+} from "@helios-lang/uplc"
+import { expectDefined } from "@helios-lang/type-utils"
+import {
+    selectLargestFirst,
+    selectSmallestFirst
+} from "../coinselection/index.js"
+import { makeTxBuilder, restoreTxBuilder } from "./TxBuilder.js"
+import { isTxBuilderJsonSafe } from "./TxBuilderJsonSafe.js"
+
+/**
+ * @import { Tx, TxOutput } from "@helios-lang/ledger"
+ * @import { TxProfile } from "../index.js"
+ */
 
 const wallet1 =
     "addr_test1vzzcg26lxj3twnnx889lrn60pqn0z3km2yahhsz0fvpyxdcj5qp8w"
@@ -57,3 +87,579 @@ describe("basic TxBuilder", () => {
         )
     })
 })
+
+describe("stake registration", () => {
+    const stakingPubKeyHash = makePubKeyHash("ab".repeat(28))
+    const poolId = makePubKeyHash("cd".repeat(28))
+    const deposit = BigInt(DEFAULT_NETWORK_PARAMS().stakeAddrDeposit)
+
+    it("locks the stake address deposit when registering", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .registerWithoutRedeemer(stakingPubKeyHash)
+            .build({ changeAddress: wallet1 })
+
+        strictEqual(tx.body.dcerts.length, 1)
+        strictEqual(tx.body.dcerts[0].kind, "RegistrationDCert")
+        strictEqual(
+            tx.body.outputs[0].value.lovelace,
+            input1.value.lovelace - tx.body.fee - deposit
+        )
+    })
+
+    it("refunds the stake address deposit when deregistering", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .deregisterWithoutRedeemer(stakingPubKeyHash)
+            .build({ changeAddress: wallet1 })
+
+        strictEqual(
+            tx.body.outputs[0].value.lovelace,
+            input1.value.lovelace - tx.body.fee + deposit
+        )
+    })
+
+    it("registers before delegating", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .registerAndDelegateWithoutRedeemer(stakingPubKeyHash, poolId)
+            .build({ changeAddress: wallet1 })
+
+        strictEqual(
+            tx.body.dcerts.map((dcert) => dcert.kind).join(","),
+            "RegistrationDCert,DelegationDCert"
+        )
+        strictEqual(
+            tx.body.signers.some((s) => s.isEqual(stakingPubKeyHash)),
+            true
+        )
+    })
+
+    it("fails if a registration is given a redeemer", () => {
+        throws(() =>
+            makeTxBuilder({ isMainnet: false }).registerUnsafe(
+                stakingPubKeyHash,
+                makeIntData(0)
+            )
+        )
+    })
+})
+
+// always succeeds
+const program = makeUplcProgramV2(
+    makeUplcLambda({
+        body: makeUplcLambda({
+            body: makeUplcConst({ value: UNIT_VALUE })
+        })
+    })
+)
+const mph = makeMintingPolicyHash(program.hash())
+
+describe("fee refinement", () => {
+    it("converges to the min fee, with the lazy redeemers seeing the final fee", async () => {
+        const params = DEFAULT_NETWORK_PARAMS()
+
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .attachUplcProgram(program)
+            .mintPolicyTokensUnsafe(mph, [["abcd", 1n]], (txInfo) =>
+                makeIntData(txInfo?.fee ?? 0)
+            )
+            .build({ changeAddress: wallet1, networkParams: params })
+
+        strictEqual(tx.body.fee, tx.calcMinFee(params))
+        strictEqual(
+            tx.witnesses.redeemers[0].data.toString(),
+            makeIntData(tx.body.fee).toString()
+        )
+        strictEqual(
+            tx.body.outputs.reduce(
+                (prev, output) => prev + output.value.lovelace,
+                0n
+            ),
+            input1.value.lovelace - tx.body.fee
+        )
+
+        // the collateral return is refined with the final fee
+        strictEqual(
+            expectDefined(tx.body.collateralReturn).value.lovelace,
+            tx.body.collateral.reduce(
+                (prev, input) => prev + input.value.lovelace,
+                0n
+            ) - tx.calcMinCollateral(params)
+        )
+    })
+})
+
+describe("profiling", () => {
+    it("reports the execution budget of each redeemer", async () => {
+        const params = DEFAULT_NETWORK_PARAMS()
+
+        /**
+         * @type {TxProfile | undefined}
+         */
+        let profile
+
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .attachUplcProgram(program)
+            .mintPolicyTokensUnsafe(mph, [["abcd", 1n]], makeIntData(0))
+            .build({
+                changeAddress: wallet1,
+                networkParams: params,
+                onProfile: (p) => {
+                    profile = p
+                }
+            })
+
+        const { fee, size, redeemers, txLimits } = expectDefined(profile)
+        const [redeemer] = redeemers
+
+        strictEqual(fee, tx.body.fee)
+        strictEqual(size, tx.toCbor().length)
+        strictEqual(redeemers.length, 1)
+        strictEqual(redeemer.purpose, "minting")
+        strictEqual(redeemer.index, 0)
+        strictEqual(bytesToHex(redeemer.scriptHash), bytesToHex(mph.bytes))
+        strictEqual(redeemer.mem, tx.witnesses.redeemers[0].cost.mem)
+        strictEqual(redeemer.fee > 0n, true)
+        strictEqual(redeemer.usedAlt, false)
+        strictEqual(txLimits.mem, redeemer.txLimits.mem)
+        strictEqual(txLimits.size > 0 && txLimits.size < 1, true)
+    })
+})
+
+describe("serialization", () => {
+    it("builds the same tx after a roundtrip through JSON", async () => {
+        const params = DEFAULT_NETWORK_PARAMS()
+
+        const builder = makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .payUnsafe(wallet2, 10_000_000n)
+            .attachUplcProgram(program)
+            .mintPolicyTokensUnsafe(mph, [["abcd", 1n]], makeIntData(1))
+            .addSigners(makePubKeyHash("ef".repeat(28)))
+            .setMetadataAttribute(674, { map: [["msg", { list: ["hello"] }]] })
+            .validFromSlot(100)
+            .validToSlot(200)
+
+        const json = builder.toJsonSafe()
+
+        strictEqual(isTxBuilderJsonSafe(json), true)
+
+        const restored = restoreTxBuilder(JSON.stringify(json), [program])
+
+        const tx = await builder.build({
+            changeAddress: wallet1,
+            networkParams: params
+        })
+
+        const restoredTx = await restored.build({
+            changeAddress: wallet1,
+            networkParams: params
+        })
+
+        strictEqual(restoredTx.id().toHex(), tx.id().toHex())
+
+        // the collateral added by build() is part of the serialized state
+        const builtJson = builder.toJsonSafe()
+
+        strictEqual(isTxBuilderJsonSafe(builtJson), true)
+        strictEqual(builtJson.addedCollateral, true)
+        strictEqual(builtJson.collateral.length, 1)
+        strictEqual(typeof builtJson.collateralReturn, "string")
+        strictEqual(
+            JSON.stringify(
+                restoreTxBuilder(JSON.stringify(builtJson), [
+                    program
+                ]).toJsonSafe()
+            ),
+            JSON.stringify(builtJson)
+        )
+    })
+
+    it("throws if an attached script isn't passed in again", () => {
+        const json = makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .attachUplcProgram(program)
+            .mintPolicyTokensUnsafe(mph, [["abcd", 1n]], makeIntData(1))
+            .toJsonSafe()
+
+        throws(() => restoreTxBuilder(json))
+    })
+
+    it("throws for lazy redeemers", () => {
+        const builder = makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .attachUplcProgram(program)
+            .mintPolicyTokensUnsafe(mph, [["abcd", 1n]], () => makeIntData(1))
+
+        throws(() => builder.toJsonSafe())
+    })
+})
+
+describe("fee payer", () => {
+    const sponsor = makeAddress(false, makePubKeyHash("ef".repeat(28)))
+    const sponsorInput = makeTxInput(
+        "d4b22d33611fb2b3764080cb349b3f12d353aef1d4319ee33e44594bbebe5e83#1",
+        makeTxOutput(sponsor, 5_000_000n)
+    )
+
+    it("lets a sponsor pay the fee", async () => {
+        const params = DEFAULT_NETWORK_PARAMS()
+
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .payUnsafe(wallet2, 10_000_000n)
+            .build({
+                changeAddress: wallet1,
+                networkParams: params,
+                feePayer: { utxos: [sponsorInput], address: sponsor }
+            })
+
+        const [, change, sponsorChange] = tx.body.outputs
+
+        strictEqual(tx.body.fee, tx.calcMinFee(params))
+        strictEqual(change.value.lovelace, input1.value.lovelace - 10_000_000n)
+        strictEqual(sponsorChange.address.isEqual(sponsor), true)
+        strictEqual(
+            sponsorChange.value.lovelace,
+            sponsorInput.value.lovelace - tx.body.fee
+        )
+    })
+
+    it("deducts the fee from an output when sending the whole balance", async () => {
+        const params = DEFAULT_NETWORK_PARAMS()
+        const output = makeTxOutput(wallet2, input1.value.lovelace)
+
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .addOutput(output)
+            .build({
+                changeAddress: wallet1,
+                networkParams: params,
+                feePayer: { output }
+            })
+
+        strictEqual(tx.body.fee, tx.calcMinFee(params))
+        strictEqual(tx.body.outputs.length, 1)
+        strictEqual(
+            tx.body.outputs[0].value.lovelace,
+            input1.value.lovelace - tx.body.fee
+        )
+        strictEqual(output.value.lovelace, input1.value.lovelace)
+    })
+
+    it("throws if the fee paying output can't cover the fee", async () => {
+        const output = makeTxOutput(wallet2, 1_000_000n)
+
+        await rejects(
+            makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(input1)
+                .addOutput(output)
+                .build({
+                    changeAddress: wallet1,
+                    feePayer: { output }
+                }),
+            /feePayer.output doesn't contain enough lovelace to pay the fee/
+        )
+    })
+
+    it("throws if the fee paying output isn't part of the tx", async () => {
+        await rejects(
+            makeTxBuilder({ isMainnet: false })
+                .spendUnsafe(input1)
+                .payUnsafe(wallet2, 10_000_000n)
+                .build({
+                    changeAddress: wallet1,
+                    feePayer: { output: makeTxOutput(wallet2, 2_000_000n) }
+                })
+        )
+    })
+})
+
+describe("coin selection", () => {
+    const spareUtxos = [3_000_000n, 100_000_000n, 50_000_000n].map(
+        (lovelace, i) =>
+            makeTxInput(
+                `d4b22d33611fb2b3764080cb349b3f12d353aef1d4319ee33e44594bbebe5e83#${i + 1}`,
+                makeTxOutput(wallet1, lovelace)
+            )
+    )
+
+    it("picks the spare UTxOs using config.coinSelection", async () => {
+        const largestFirst = await makeTxBuilder({ isMainnet: false })
+            .payUnsafe(wallet2, 10_000_000n)
+            .build({
+                changeAddress: wallet1,
+                spareUtxos,
+                coinSelection: selectLargestFirst()
+            })
+
+        strictEqual(largestFirst.body.inputs.length, 1)
+        strictEqual(largestFirst.body.inputs[0].value.lovelace, 100_000_000n)
+
+        const smallestFirst = await makeTxBuilder({ isMainnet: false })
+            .payUnsafe(wallet2, 10_000_000n)
+            .build({
+                changeAddress: wallet1,
+                spareUtxos,
+                coinSelection: selectSmallestFirst()
+            })
+
+        strictEqual(smallestFirst.body.inputs.length, 2)
+        strictEqual(
+            smallestFirst.body.inputs.some(
+                (input) => input.value.lovelace == 3_000_000n
+            ),
+            true
+        )
+    })
+
+    it("reports the balancing diagnostic if config.coinSelection fails", async () => {
+        await rejects(
+            makeTxBuilder({ isMainnet: false })
+                .payUnsafe(wallet2, 500_000_000n)
+                .build({
+                    changeAddress: wallet1,
+                    spareUtxos,
+                    coinSelection: selectLargestFirst()
+                }),
+            /need \d+ lovelace, but only have \d+/
+        )
+
+        const dirtyUtxo = makeTxInput(
+            "d4b22d33611fb2b3764080cb349b3f12d353aef1d4319ee33e44594bbebe5e83#4",
+            makeTxOutput(
+                wallet1,
+                makeValue(500_000_000n, makeAssets([[`${mph.toHex()}.`, 1n]]))
+            )
+        )
+
+        await rejects(
+            makeTxBuilder({ isMainnet: false })
+                .payUnsafe(wallet2, 500_000_000n)
+                .build({
+                    changeAddress: wallet1,
+                    spareUtxos: spareUtxos.concat([dirtyUtxo]),
+                    coinSelection: selectLargestFirst()
+                }),
+            /UTxOs too fragmented \(hint: set allowDirtySpareInputs==true/
+        )
+    })
+
+    it("picks the collateral using config.collateralSelection", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(spareUtxos[0])
+            .attachUplcProgram(program)
+            .mintPolicyTokensUnsafe(mph, [["abcd", 1n]], makeIntData(0))
+            .build({
+                changeAddress: wallet1,
+                spareUtxos,
+                collateralSelection: selectLargestFirst()
+            })
+
+        strictEqual(tx.body.collateral.length, 1)
+        strictEqual(tx.body.collateral[0].value.lovelace, 100_000_000n)
+    })
+})
+
+describe("asset balancing", () => {
+    const token = makeAssetClass(mph, "abcd")
+
+    const spareUtxos = [
+        makeTxInput(
+            "d4b22d33611fb2b3764080cb349b3f12d353aef1d4319ee33e44594bbebe5e83#1",
+            makeTxOutput(
+                wallet1,
+                makeValue(2_000_000n, makeAssets([[token, 100n]]))
+            )
+        ),
+        makeTxInput(
+            "d4b22d33611fb2b3764080cb349b3f12d353aef1d4319ee33e44594bbebe5e83#2",
+            makeTxOutput(wallet1, 50_000_000n)
+        )
+    ]
+
+    it("adds spare UTxOs containing the missing assets", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .payUnsafe(
+                wallet2,
+                makeValue(2_000_000n, makeAssets([[token, 40n]]))
+            )
+            .build({
+                changeAddress: wallet1,
+                spareUtxos,
+                balanceAssetsWithSpareUtxos: true
+            })
+
+        strictEqual(
+            tx.body.inputs.some((input) => input.isEqual(spareUtxos[0])),
+            true
+        )
+        strictEqual(
+            tx.body.outputs
+                .filter((output) =>
+                    output.address.isEqual(makeAddress(wallet1))
+                )
+                .reduce(
+                    (prev, output) =>
+                        prev + output.value.assets.getAssetClassQuantity(token),
+                    0n
+                ),
+            60n
+        )
+    })
+
+    it("doesn't add spare UTxOs for missing assets by default", async () => {
+        await rejects(
+            makeTxBuilder({ isMainnet: false })
+                .payUnsafe(
+                    wallet2,
+                    makeValue(2_000_000n, makeAssets([[token, 40n]]))
+                )
+                .build({ changeAddress: wallet1, spareUtxos })
+        )
+    })
+})
+
+describe("change strategy", () => {
+    const otherMph = makeMintingPolicyHash("ab".repeat(28))
+
+    const input = makeTxInput(
+        "d4b22d33611fb2b3764080cb349b3f12d353aef1d4319ee33e44594bbebe5e83#1",
+        makeTxOutput(
+            wallet1,
+            makeValue(
+                100_000_000n,
+                makeAssets([
+                    [mph, [["01", 1n]]],
+                    [
+                        otherMph,
+                        [
+                            ["02", 2n],
+                            ["03", 3n]
+                        ]
+                    ]
+                ])
+            )
+        )
+    )
+
+    /**
+     * @param {Tx} tx
+     * @returns {TxOutput[]}
+     */
+    const getAssetChangeOutputs = (tx) =>
+        tx.body.outputs.filter((output) => !output.value.assets.isZero())
+
+    it("keeps the tokens of a policy together", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input)
+            .payUnsafe(wallet2, 2_000_000n)
+            .build({
+                changeAddress: wallet1,
+                maxAssetsPerChangeOutput: 2,
+                changeStrategy: { groupByPolicy: true }
+            })
+
+        const policiesPerOutput = getAssetChangeOutputs(tx).map(
+            (output) => output.value.assets.getPolicies().length
+        )
+
+        strictEqual(policiesPerOutput.length, 2)
+        strictEqual(
+            policiesPerOutput.every((n) => n == 1),
+            true
+        )
+    })
+
+    it("limits the size of the asset change outputs", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input)
+            .payUnsafe(wallet2, 2_000_000n)
+            .build({
+                changeAddress: wallet1,
+                changeStrategy: { maxChangeOutputSize: 110 }
+            })
+
+        const outputs = getAssetChangeOutputs(tx)
+
+        strictEqual(outputs.length > 1, true)
+        strictEqual(
+            outputs.every((output) => output.toCbor().length <= 110),
+            true
+        )
+    })
+
+    it("splits the lovelace change into equal outputs", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input1)
+            .payUnsafe(wallet2, 10_000_000n)
+            .build({
+                changeAddress: wallet1,
+                changeStrategy: { lovelaceSplit: 3 }
+            })
+
+        const [, first, ...rest] = tx.body.outputs
+
+        strictEqual(rest.length, 2)
+        strictEqual(rest[0].value.lovelace, rest[1].value.lovelace)
+        strictEqual(first.value.lovelace >= rest[0].value.lovelace, true)
+        strictEqual(first.value.lovelace - rest[0].value.lovelace < 3n, true)
+    })
+
+    it("sends the change of specific asset classes to other addresses", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input)
+            .payUnsafe(wallet2, 2_000_000n)
+            .build({
+                changeAddress: wallet1,
+                changeStrategy: {
+                    assetAddresses: [[makeAssetClass(otherMph, "03"), wallet2]]
+                }
+            })
+
+        const outputs = getAssetChangeOutputs(tx)
+        const other = outputs.filter((output) =>
+            output.address.isEqual(makeAddress(wallet2))
+        )
+
+        strictEqual(other.length, 1)
+        strictEqual(other[0].value.assets.countTokens(), 1)
+        strictEqual(
+            other[0].value.assets.getPolicyTokenQuantity(otherMph, "03"),
+            3n
+        )
+        strictEqual(
+            outputs.every(
+                (output) =>
+                    output == other[0] ||
+                    output.value.assets.getPolicyTokenQuantity(
+                        otherMph,
+                        "03"
+                    ) == 0n
+            ),
+            true
+        )
+    })
+
+    it("doesn't create outputs for asset classes without change", async () => {
+        const tx = await makeTxBuilder({ isMainnet: false })
+            .spendUnsafe(input)
+            .payUnsafe(wallet2, 2_000_000n)
+            .build({
+                changeAddress: wallet1,
+                changeStrategy: {
+                    assetAddresses: [[makeAssetClass(otherMph, "ff"), wallet2]]
+                }
+            })
+
+        strictEqual(
+            tx.body.outputs.filter((output) =>
+                output.address.isEqual(makeAddress(wallet2))
+            ).length,
+            1
+        )
+    })
+})
@@ -0,0 +1,140 @@
+import { isValidHex } from "@helios-lang/codec-utils"
+import {
+    isValidBech32StakingAddress,
+    isValidMintingPolicyHash,
+    isValidPubKeyHash,
+    isValidTxInputCbor,
+    isValidTxOutputId
+} from "@helios-lang/ledger"
+import {
+    assert,
+    expect,
+    isArray,
+    isBoolean,
+    isFormattedString,
+    isNumber,
+    isObject,
+    isOneOf,
+    isTuple
+} from "@helios-lang/type-utils"
+import { isValidBigIntString, isValidTxOutputHex } from "../json.js"
+
+/**
+ * @import { NotifyOnFalse } from "@helios-lang/type-utils"
+ * @import { TxBuilderJsonSafe } from "../index.js"
+ */
+
+const isHex = isFormattedString(isValidHex)
+const isTxInputJsonSafe = isFormattedString(isValidTxInputCbor(true))
+const isValidityJsonSafe = isOneOf([
+    isObject({ slot: isNumber }),
+    isObject({ timestamp: isNumber })
+])
+
+/**
+ * Asserts the content of input
+ * Superfluous properties are ignored
+ * @param {unknown} input
+ * @param {NotifyOnFalse} onFalse - optional error message notifier
+ * @returns {input is TxBuilderJsonSafe}
+ */
+export function isTxBuilderJsonSafe(input, onFalse = undefined) {
+    if (
+        !isObject(input, {
+            isMainnet: isBoolean,
+            inputs: isArray(isTxInputJsonSafe),
+            refInputs: isArray(isTxInputJsonSafe),
+            collateral: isArray(isTxInputJsonSafe),
+            outputs: isArray(isFormattedString(isValidTxOutputHex)),
+            minted: isHex,
+            datums: isArray(isHex),
+            signers: isArray(isFormattedString(isValidPubKeyHash)),
+            metadata: isObject({}),
+            withdrawals: isArray(
+                isTuple([
+                    isFormattedString(isValidBech32StakingAddress),
+                    isFormattedString(isValidBigIntString)
+                ])
+            ),
+            dcerts: isArray(isHex),
+            spendingRedeemers: isArray(
+                isTuple([isFormattedString(isValidTxOutputId), isHex])
+            ),
+            mintingRedeemers: isArray(
+                isTuple([isFormattedString(isValidMintingPolicyHash), isHex])
+            ),
+            rewardingRedeemers: isArray(
+                isTuple([isFormattedString(isValidBech32StakingAddress), isHex])
+            ),
+            certifyingRedeemers: isArray(isTuple([isNumber, isHex])),
+            nativeScripts: isArray(isHex),
+            scripts: isArray(isHex)
+        })
+    ) {
+        if (onFalse) {
+            onFalse("invalid TxBuilderJsonSafe")
+        }
+        return false
+    }
+
+    if (
+        Object.values(input.metadata).some((attr) => !isHex(attr)) ||
+        Object.keys(input.metadata).some((key) => !/^[0-9]+$/.test(key))
+    ) {
+        if (onFalse) {
+            onFalse("invalid TxBuilderJsonSafe.metadata")
+        }
+        return false
+    }
+
+    if ("validFrom" in input && !isValidityJsonSafe(input.validFrom)) {
+        if (onFalse) {
+            onFalse("invalid TxBuilderJsonSafe.validFrom")
+        }
+        return false
+    }
+
+    if ("validTo" in input && !isValidityJsonSafe(input.validTo)) {
+        if (onFalse) {
+            onFalse("invalid TxBuilderJsonSafe.validTo")
+        }
+        return false
+    }
+
+    if ("addedCollateral" in input && !isBoolean(input.addedCollateral)) {
+        if (onFalse) {
+            onFalse("invalid TxBuilderJsonSafe.addedCollateral")
+        }
+        return false
+    }
+
+    if (
+        "collateralReturn" in input &&
+        !isFormattedString(isValidTxOutputHex)(input.collateralReturn)
+    ) {
+        if (onFalse) {
+            onFalse("invalid TxBuilderJsonSafe.collateralReturn")
+        }
+        return false
+    }
+
+    return true
+}
+
+/**
+ * @param {unknown} input
+ * @param {string | undefined} msg
+ * @returns {asserts input is TxBuilderJsonSafe}
+ */
+export function assertTxBuilderJsonSafe(input, msg = undefined) {
+    return assert(input, isTxBuilderJsonSafe, msg ?? undefined)
+}
+
+/**
+ * @param {unknown} input
+ * @param {string | undefined} msg
+ * @returns {TxBuilderJsonSafe}
+ */
+export function expectTxBuilderJsonSafe(input, msg = undefined) {
+    return expect(input, isTxBuilderJsonSafe, msg ?? undefined)
+}
@@ -0,0 +1,162 @@
+import {
+    DEFAULT_NETWORK_PARAMS,
+    makeAddress,
+    makeTxInput,
+    makeTxOutputId
+} from "@helios-lang/ledger"
+import { makeTxChain } from "../chain/index.js"
+import { makeTxBuilder } from "./TxBuilder.js"
+
+/**
+ * @import { NetworkParams, Tx, TxInput, TxOutput } from "@helios-lang/ledger"
+ * @import { TxBatchConfig, TxChain } from "../index.js"
+ */
+
+/**
+ * Build errors caused by a tx exceeding the size or execution budget limits, which can be solved by including fewer outputs
+ */
+const TX_LIMIT_ERROR_PATTERN =
+    /tx too big|execution budget exceeded|expected finalFee to be smaller than maxTxFee/
+
+/**
+ * Splits a large number of outputs over a sequence of txs, each within the size and execution budget limits.
+ * Each tx spends the change outputs of the previous tx, the first tx is funded by `config.spareUtxos`.
+ * @param {TxOutput[]} outputs
+ * @param {TxBatchConfig} config
+ * @returns {Promise<TxChain>}
+ */
+export async function buildTxBatch(outputs, config) {
+    const {
+        isMainnet,
+        refScriptRegistry,
+        apply,
+        maxOutputsPerTx,
+        ...finalConfig
+    } = config
+
+    /**
+     * @type {NetworkParams}
+     */
+    const networkParams =
+        (await config.networkParams) ?? DEFAULT_NETWORK_PARAMS()
+
+    const changeAddress = makeAddress(await config.changeAddress)
+
+    let spareUtxos = (await config.spareUtxos) ?? []
+
+    /**
+     * change outputs of the previous tx
+     * @type {TxInput[]}
+     */
+    let changeUtxos = []
+
+    /**
+     * @type {Tx[]}
+     */
+    const txs = []
+
+    /**
+     * @param {TxOutput[]} batch
+     * @returns {Promise<Tx>}
+     */
+    const buildTx = async (batch) => {
+        const builder = makeTxBuilder({ isMainnet, refScriptRegistry })
+            .spendUnsafe(changeUtxos)
+            .addOutput(...batch.map((output) => output.copy()))
+
+        if (apply) {
+            await apply(builder, batch)
+        }
+
+        const tx = await builder.build({
+            ...finalConfig,
+            networkParams,
+            spareUtxos
+        })
+
+        // build() only checks the size of the unsigned tx
+        if (tx.calcSize(true) > networkParams.maxTxSize) {
+            throw new Error("signed tx too big")
+        }
+
+        return tx
+    }
+
+    let remaining = outputs.slice()
+
+    while (remaining.length > 0) {
+        const { tx, n } = await buildLargestTx(
+            remaining.slice(0, maxOutputsPerTx ?? remaining.length),
+            buildTx
+        )
+
+        txs.push(tx)
+        remaining = remaining.slice(n)
+
+        // the change outputs are the outputs sent to the change address, excluding the batch outputs themselves
+        changeUtxos = tx.body.outputs.flatMap((output, i) =>
+            i >= n && output.address.isEqual(changeAddress)
+                ? [makeTxInput(makeTxOutputId(tx.id(), i), output)]
+                : []
+        )
+
+        spareUtxos = spareUtxos.filter(
+            (utxo) => !tx.body.inputs.some((input) => input.isEqual(utxo))
+        )
+    }
+
+    return makeTxChain(txs)
+}
+
+/**
+ * Binary search for the largest number of leading outputs that can be included in a single tx.
+ * Only size and execution budget errors make the batch shrink, all other errors are rethrown immediately (as are any errors for a tx with a single output).
+ * @param {TxOutput[]} outputs
+ * @param {(batch: TxOutput[]) => Promise<Tx>} buildTx
+ * @returns {Promise<{tx: Tx, n: number}>}
+ */
+async function buildLargestTx(outputs, buildTx) {
+    /**
+     * @param {number} n
+     * @returns {Promise<Tx | undefined>}
+     */
+    const tryBuildTx = async (n) => {
+        try {
+            return await buildTx(outputs.slice(0, n))
+        } catch (e) {
+            if (
+                n == 1 ||
+                !(e instanceof Error && TX_LIMIT_ERROR_PATTERN.test(e.message))
+            ) {
+                throw e
+            }
+
+            return undefined
+        }
+    }
+
+    const all = await tryBuildTx(outputs.length)
+
+    if (all) {
+        return { tx: all, n: outputs.length }
+    }
+
+    // `lo` always fits, `hi` never fits
+    let lo = 1
+    let tx = /** @type {Tx} */ (await tryBuildTx(1))
+    let hi = outputs.length
+
+    while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2)
+        const midTx = await tryBuildTx(mid)
+
+        if (midTx) {
+            lo = mid
+            tx = midTx
+        } else {
+            hi = mid
+        }
+    }
+
+    return { tx, n: lo }
+}
@@ -0,0 +1,106 @@
+import { rejects, strictEqual } from "node:assert"
+import { describe, it } from "node:test"
+import { makeTxOutput } from "@helios-lang/ledger"
+import { makeEmulator } from "../emulator/index.js"
+import { buildTxBatch } from "./buildTxBatch.js"
+
+describe("buildTxBatch()", () => {
+    it("splits the outputs over chained txs within maxTxSize", async () => {
+        const emulator = makeEmulator(0, {
+            strict: true,
+            params: { maxTxSize: 1200 }
+        })
+        const wallet = emulator.createWallet(1_000_000_000n)
+        const recipients = Array.from({ length: 4 }, () =>
+            emulator.createWallet(0n)
+        )
+        emulator.tick(1n)
+
+        const outputs = Array.from({ length: 40 }, (_, i) =>
+            makeTxOutput(recipients[i % recipients.length].address, 2_000_000n)
+        )
+
+        /**
+         * @type {number[]}
+         */
+        const batchSizes = []
+
+        const chain = await buildTxBatch(outputs, {
+            isMainnet: false,
+            changeAddress: wallet.address,
+            spareUtxos: await wallet.utxos,
+            networkParams: emulator.parametersSync,
+            apply: (builder, batch) => {
+                batchSizes.push(batch.length)
+                builder.setMetadataAttribute(0, batch.length)
+            }
+        })
+
+        strictEqual(chain.txs.length > 1, true)
+        strictEqual(
+            chain.txs.every((tx) => tx.toCbor().length <= 1200),
+            true
+        )
+        strictEqual(
+            chain.txs.reduce(
+                (prev, tx) => prev + Number(tx.metadata?.attributes[0]),
+                0
+            ),
+            outputs.length
+        )
+        strictEqual(batchSizes.length > chain.txs.length, true)
+
+        // each tx spends the change of the previous tx
+        chain.txs.slice(1).forEach((tx, i) => {
+            strictEqual(
+                tx.body.inputs.some((input) =>
+                    input.id.txId.isEqual(chain.txs[i].id())
+                ),
+                true
+            )
+        })
+
+        for (let tx of chain.txs) {
+            tx.addSignatures(await wallet.signTx(tx))
+            await emulator.submitTx(tx)
+            emulator.tick(1n)
+        }
+
+        for (let recipient of recipients) {
+            strictEqual(
+                (await recipient.utxos).filter(
+                    (utxo) => utxo.value.lovelace == 2_000_000n
+                ).length,
+                10
+            )
+        }
+    })
+
+    it("rethrows errors that aren't caused by the tx limits", async () => {
+        const emulator = makeEmulator()
+        const wallet = emulator.createWallet(1_000_000_000n)
+        emulator.tick(1n)
+
+        const outputs = Array.from({ length: 4 }, () =>
+            makeTxOutput(wallet.address, 2_000_000n)
+        )
+
+        let nCalls = 0
+
+        await rejects(
+            buildTxBatch(outputs, {
+                isMainnet: false,
+                changeAddress: wallet.address,
+                spareUtxos: await wallet.utxos,
+                networkParams: emulator.parametersSync,
+                apply: () => {
+                    nCalls += 1
+                    throw new Error("not a size error")
+                }
+            }),
+            /not a size error/
+        )
+
+        strictEqual(nCalls, 1)
+    })
+})
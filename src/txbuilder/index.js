@@ -1,3 +1,9 @@
+export { buildTxBatch } from "./buildTxBatch.js"
 export { makeCachedRefScriptRegistry } from "./CachedRefScriptRegistry.js"
 export { makeRefScriptRegistry } from "./RefScriptRegistry.js"
-export { makeTxBuilder } from "./TxBuilder.js"
+export { makeTxBuilder, restoreTxBuilder } from "./TxBuilder.js"
+export {
+    assertTxBuilderJsonSafe,
+    expectTxBuilderJsonSafe,
+    isTxBuilderJsonSafe
+} from "./TxBuilderJsonSafe.js"
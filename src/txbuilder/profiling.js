@@ -0,0 +1,51 @@
+/**
+ * @import { NetworkParams, TxRedeemer } from "@helios-lang/ledger"
+ * @import { TxRedeemerProfile } from "../index.js"
+ */
+
+/**
+ * Shared by the TxBuilder profiles and the Emulator reports
+ * @param {TxRedeemer} redeemer
+ * @returns {Pick<TxRedeemerProfile, "purpose" | "index">}
+ */
+export function getRedeemerPurpose(redeemer) {
+    switch (redeemer.kind) {
+        case "TxSpendingRedeemer":
+            return { purpose: "spending", index: redeemer.inputIndex }
+        case "TxMintingRedeemer":
+            return { purpose: "minting", index: redeemer.policyIndex }
+        case "TxRewardingRedeemer":
+            return { purpose: "rewarding", index: redeemer.withdrawalIndex }
+        case "TxCertifyingRedeemer":
+            return { purpose: "certifying", index: redeemer.dcertIndex }
+    }
+}
+
+/**
+ * Fractions of the per-tx execution-unit limits
+ * @param {NetworkParams} params
+ * @param {bigint} mem
+ * @param {bigint} cpu
+ * @returns {{mem: number, cpu: number}}
+ */
+export function calcExLimitFractions(params, mem, cpu) {
+    return {
+        mem: Number(mem) / params.maxTxExMem,
+        cpu: Number(cpu) / params.maxTxExCpu
+    }
+}
+
+/**
+ * Fractions of the per-tx size and execution-unit limits
+ * @param {NetworkParams} params
+ * @param {number} size
+ * @param {bigint} mem
+ * @param {bigint} cpu
+ * @returns {{size: number, mem: number, cpu: number}}
+ */
+export function calcTxLimitFractions(params, size, mem, cpu) {
+    return {
+        size: size / params.maxTxSize,
+        ...calcExLimitFractions(params, mem, cpu)
+    }
+}
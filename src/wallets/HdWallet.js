@@ -0,0 +1,351 @@
+import { makeAddress, makeStakingAddress } from "@helios-lang/ledger"
+import { signCip30CoseData } from "../keys/index.js"
+
+/**
+ * @import { BytesLike } from "@helios-lang/codec-utils"
+ * @import { PubKey, PubKeyHash, ShelleyAddress, Signature, StakingAddress, StakingCredential, Tx, TxId, TxInput } from "@helios-lang/ledger"
+ * @import { Bip32PrivateKey, CardanoClient, Cip30CoseSign1, HdWallet, HdWalletOptions, RootPrivateKey } from "../index.js"
+ */
+
+/**
+ * BIP44 address gap limit
+ */
+const DEFAULT_HD_WALLET_ADDRESSES = 20
+
+/**
+ * @param {RootPrivateKey} rootKey
+ * @param {CardanoClient} cardanoClient
+ * @param {HdWalletOptions} options
+ * @returns {HdWallet}
+ */
+export function makeHdWallet(rootKey, cardanoClient, options = {}) {
+    const accountIndex = options.accountIndex ?? 0
+    const nAddresses = options.nAddresses ?? DEFAULT_HD_WALLET_ADDRESSES
+
+    if (nAddresses < 1) {
+        throw new Error("a HdWallet must have at least one address")
+    }
+
+    const spendingRootKey = rootKey.deriveSpendingRootKey(accountIndex)
+
+    /**
+     * @type {Bip32PrivateKey[]}
+     */
+    const spendingPrivateKeys = []
+
+    for (let i = 0; i < nAddresses; i++) {
+        spendingPrivateKeys.push(spendingRootKey.derive(i))
+    }
+
+    return new HdWalletImpl(
+        spendingPrivateKeys,
+        rootKey.deriveStakingKey(accountIndex),
+        cardanoClient
+    )
+}
+
+/**
+ * Derives a fixed number of spending keys (external chain) from a single account of a RootPrivateKey.
+ * All the addresses share the same staking key.
+ * @implements {HdWallet}
+ */
+class HdWalletImpl {
+    /**
+     * @readonly
+     * @type {CardanoClient}
+     */
+    cardanoClient
+
+    /**
+     * @readonly
+     * @type {Bip32PrivateKey[]}
+     */
+    spendingPrivateKeys
+
+    /**
+     * @readonly
+     * @type {PubKey[]}
+     */
+    spendingPubKeys
+
+    /**
+     * @readonly
+     * @type {PubKey}
+     */
+    stakingPubKey
+
+    /**
+     * @private
+     * @readonly
+     * @type {Bip32PrivateKey}
+     */
+    stakingPrivateKey
+
+    /**
+     * @param {Bip32PrivateKey[]} spendingPrivateKeys
+     * @param {Bip32PrivateKey} stakingPrivateKey
+     * @param {CardanoClient} cardanoClient
+     */
+    constructor(spendingPrivateKeys, stakingPrivateKey, cardanoClient) {
+        this.cardanoClient = cardanoClient
+        this.spendingPrivateKeys = spendingPrivateKeys
+        this.spendingPubKeys = spendingPrivateKeys.map((key) =>
+            key.derivePubKey()
+        )
+        this.stakingPrivateKey = stakingPrivateKey
+        this.stakingPubKey = stakingPrivateKey.derivePubKey()
+    }
+
+    /**
+     * All the derived addresses, in derivation order
+     * @type {ShelleyAddress<PubKeyHash>[]}
+     */
+    get addresses() {
+        const isMainnet = this.cardanoClient.isMainnet()
+        const stakingPubKeyHash = this.stakingPubKeyHash
+
+        return this.spendingPubKeys.map((pubKey) =>
+            makeAddress(isMainnet, pubKey.hash(), stakingPubKeyHash)
+        )
+    }
+
+    /**
+     * Don't define any collateral, let the TxBuilder use the regular inputs
+     * @type {Promise<TxInput<PubKeyHash>[]>}
+     */
+    get collateral() {
+        return new Promise((resolve, _) => {
+            resolve([])
+        })
+    }
+
+    /**
+     * @type {StakingAddress}
+     */
+    get stakingAddress() {
+        return makeStakingAddress(
+            this.cardanoClient.isMainnet(),
+            this.stakingPubKeyHash
+        )
+    }
+
+    /**
+     * @type {Promise<StakingAddress[]>}
+     */
+    get stakingAddresses() {
+        return new Promise((resolve, _) => {
+            resolve([this.stakingAddress])
+        })
+    }
+
+    /**
+     * @type {PubKeyHash}
+     */
+    get stakingPubKeyHash() {
+        return this.stakingPubKey.hash()
+    }
+
+    /**
+     * Addresses without UTxOs and without tx history
+     * @type {Promise<ShelleyAddress<PubKeyHash>[]>}
+     */
+    get unusedAddresses() {
+        return this.getAddressUsage().then((usage) =>
+            usage.filter(([_, used]) => !used).map(([address]) => address)
+        )
+    }
+
+    /**
+     * Addresses that hold UTxOs or that appear in the tx history
+     * @type {Promise<ShelleyAddress<PubKeyHash>[]>}
+     */
+    get usedAddresses() {
+        return this.getAddressUsage().then((usage) =>
+            usage.filter(([_, used]) => used).map(([address]) => address)
+        )
+    }
+
+    /**
+     * @type {Promise<TxInput<PubKeyHash>[]>}
+     */
+    get utxos() {
+        return this.getUtxosPerAddress().then((utxos) => utxos.flat())
+    }
+
+    /**
+     * @returns {Promise<boolean>}
+     */
+    async isMainnet() {
+        return this.cardanoClient.isMainnet()
+    }
+
+    /**
+     * @param {ShelleyAddress<PubKeyHash>} addr
+     * @param {BytesLike} data
+     * @return {Promise<{signature: Cip30CoseSign1, key: PubKey}>}
+     */
+    async signData(addr, data) {
+        const stakingCredential = addr.stakingCredential
+
+        if (stakingCredential) {
+            if (!this.addresses.some((a) => a.isEqual(addr))) {
+                throw new Error(
+                    "given address doesn't correspond to any of the HdWallet's addresses"
+                )
+            }
+
+            return {
+                signature: signCip30CoseData(
+                    addr,
+                    this.stakingPrivateKey,
+                    data
+                ),
+                key: this.stakingPubKey
+            }
+        } else {
+            const i = this.findSpendingKeyIndex(addr.spendingCredential)
+
+            if (i == -1) {
+                throw new Error(
+                    "given address.spendingCredential doesn't correspond to any of the HdWallet's spending credentials"
+                )
+            }
+
+            return {
+                signature: signCip30CoseData(
+                    addr,
+                    this.spendingPrivateKeys[i],
+                    data
+                ),
+                key: this.spendingPubKeys[i]
+            }
+        }
+    }
+
+    /**
+     * Signs with every spending key that controls one of the tx inputs or collateral inputs, or that is listed as a signer.
+     * Also signs with the staking key if the tx lists it as a signer, or if it withdraws from or certifies the staking credential.
+     * @param {Tx} tx
+     * @returns {Promise<Signature[]>}
+     */
+    async signTx(tx) {
+        const hash = tx.body.hash()
+        const utxosPerAddress = await this.getUtxosPerAddress()
+
+        const spentIds = new Set(
+            tx.body.inputs
+                .concat(tx.body.collateral)
+                .map((input) => input.id.toString())
+        )
+
+        /**
+         * @type {Signature[]}
+         */
+        const signatures = []
+
+        this.spendingPrivateKeys.forEach((privateKey, i) => {
+            const pubKeyHash = this.spendingPubKeys[i].hash()
+
+            const isRequired =
+                utxosPerAddress[i].some((utxo) =>
+                    spentIds.has(utxo.id.toString())
+                ) || tx.body.signers.some((s) => s.isEqual(pubKeyHash))
+
+            if (isRequired) {
+                signatures.push(privateKey.sign(hash))
+            }
+        })
+
+        const stakingPubKeyHash = this.stakingPubKeyHash
+
+        /**
+         * @param {StakingCredential} credential
+         * @returns {boolean}
+         */
+        const isOwnStakingCredential = (credential) =>
+            credential.kind == "PubKeyHash" &&
+            credential.isEqual(stakingPubKeyHash)
+
+        const requiresStakingKey =
+            tx.body.signers.some(isOwnStakingCredential) ||
+            tx.body.withdrawals.some(([stakingAddress]) =>
+                isOwnStakingCredential(stakingAddress.stakingCredential)
+            ) ||
+            tx.body.dcerts.some(
+                (dcert) =>
+                    "credential" in dcert &&
+                    isOwnStakingCredential(dcert.credential)
+            )
+
+        if (requiresStakingKey) {
+            signatures.push(this.stakingPrivateKey.sign(hash))
+        }
+
+        return signatures
+    }
+
+    /**
+     * @param {Tx} tx
+     * @returns {Promise<TxId>}
+     */
+    async submitTx(tx) {
+        return await this.cardanoClient.submitTx(tx)
+    }
+
+    /**
+     * @private
+     * @param {ShelleyAddress<PubKeyHash>["spendingCredential"]} credential
+     * @returns {number}
+     */
+    findSpendingKeyIndex(credential) {
+        return this.spendingPubKeys.findIndex((pubKey) =>
+            credential.isEqual(pubKey.hash())
+        )
+    }
+
+    /**
+     * An address is used if it holds UTxOs, or if the client reports txs involving it
+     * @private
+     * @returns {Promise<[ShelleyAddress<PubKeyHash>, boolean][]>}
+     */
+    async getAddressUsage() {
+        const addresses = this.addresses
+        const utxosPerAddress = await this.getUtxosPerAddress()
+        const client = this.cardanoClient
+
+        return Promise.all(
+            addresses.map(async (address, i) => {
+                if (utxosPerAddress[i].length > 0) {
+                    return /** @type {[ShelleyAddress<PubKeyHash>, boolean]} */ ([
+                        address,
+                        true
+                    ])
+                }
+
+                const txs = client.getAddressTxs
+                    ? await client.getAddressTxs(address)
+                    : []
+
+                return /** @type {[ShelleyAddress<PubKeyHash>, boolean]} */ ([
+                    address,
+                    txs.length > 0
+                ])
+            })
+        )
+    }
+
+    /**
+     * @private
+     * @returns {Promise<TxInput<PubKeyHash>[][]>}
+     */
+    async getUtxosPerAddress() {
+        return Promise.all(
+            this.addresses.map(
+                (address) =>
+                    /** @type {Promise<TxInput<PubKeyHash>[]>} */ (
+                        this.cardanoClient.getUtxos(address)
+                    )
+            )
+        )
+    }
+}
@@ -11,7 +11,7 @@ import { expectDefined } from "@helios-lang/type-utils"
 /**
  * @import { BytesLike } from "@helios-lang/codec-utils"
  * @import { NumberGenerator } from "@helios-lang/crypto"
- * @import { PubKey, PubKeyHash, ShelleyAddress, Signature, StakingAddress, Tx, TxId, TxInput } from "@helios-lang/ledger"
+ * @import { PubKey, PubKeyHash, ShelleyAddress, Signature, StakingAddress, StakingCredential, Tx, TxId, TxInput } from "@helios-lang/ledger"
  * @import { Bip32PrivateKey, CardanoClient, Cip30CoseSign1, RootPrivateKey, SimpleWallet } from "../index.js"
  */
 
@@ -271,11 +271,47 @@ class SimpleWalletImpl {
 
     /**
      * Simply assumes the tx needs to by signed by this wallet without checking.
+     * Also signs with the staking key if the tx lists it as a signer, or if it withdraws from or certifies the staking credential (registration certificates aren't witnessed).
      * @param {Tx} tx
      * @returns {Promise<Signature[]>}
      */
     async signTx(tx) {
-        return [this.spendingPrivateKey.sign(tx.body.hash())]
+        const hash = tx.body.hash()
+
+        /**
+         * @type {Signature[]}
+         */
+        const signatures = [this.spendingPrivateKey.sign(hash)]
+
+        const stakingPubKeyHash = this.stakingPubKeyHash
+
+        if (this.stakingPrivateKey && stakingPubKeyHash) {
+            /**
+             * @param {StakingCredential} credential
+             * @returns {boolean}
+             */
+            const isOwnStakingCredential = (credential) =>
+                credential.kind == "PubKeyHash" &&
+                credential.isEqual(stakingPubKeyHash)
+
+            const requiresStakingKey =
+                tx.body.signers.some(isOwnStakingCredential) ||
+                tx.body.withdrawals.some(([stakingAddress]) =>
+                    isOwnStakingCredential(stakingAddress.stakingCredential)
+                ) ||
+                tx.body.dcerts.some(
+                    (dcert) =>
+                        dcert.kind != "RegistrationDCert" &&
+                        "credential" in dcert &&
+                        isOwnStakingCredential(dcert.credential)
+                )
+
+            if (requiresStakingKey) {
+                signatures.push(this.stakingPrivateKey.sign(hash))
+            }
+        }
+
+        return signatures
     }
 
     /**
@@ -1,4 +1,5 @@
 export { makeCip30Wallet } from "./Cip30Wallet.js"
+export { makeHdWallet } from "./HdWallet.js"
 export { makeOfflineWallet, parseOfflineWallet } from "./OfflineWallet.js"
 export {
     assertOfflineWalletJsonSafe,